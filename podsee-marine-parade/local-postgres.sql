@@ -0,0 +1,46 @@
+-- ============================================
+-- LOCAL POSTGRES STAND-IN FOR SUPABASE
+-- ============================================
+-- Run this on a plain local Postgres BEFORE supabase-schema.sql. It creates
+-- the Supabase roles and auth.role() that the schema's RLS policies use.
+-- Not needed on Supabase itself or with the Supabase CLI (`supabase start`).
+--
+--   psql "$DATABASE_URL" -f local-postgres.sql -f supabase-schema.sql
+--   npm run import:data -- --sql | psql "$DATABASE_URL"
+--
+-- To serve it to the app, run PostgREST with db-anon-role=anon and
+-- LOCAL_POSTGREST_URL set (see README.md).
+-- ============================================
+
+-- gen_random_uuid() on Postgres < 13
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+    CREATE ROLE anon NOLOGIN;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'authenticated') THEN
+    CREATE ROLE authenticated NOLOGIN;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'service_role') THEN
+    CREATE ROLE service_role NOLOGIN BYPASSRLS;
+  END IF;
+END
+$$;
+
+-- Role of the current request: the JWT role under PostgREST, else the database role
+CREATE SCHEMA IF NOT EXISTS auth;
+
+CREATE OR REPLACE FUNCTION auth.role()
+RETURNS TEXT AS $$
+  SELECT COALESCE(
+    NULLIF(current_setting('request.jwt.claims', TRUE), '')::JSON ->> 'role',
+    current_user::TEXT
+  );
+$$ LANGUAGE sql STABLE;
+
+GRANT USAGE ON SCHEMA public, auth TO anon, authenticated, service_role;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT SELECT, INSERT ON TABLES TO anon, authenticated;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT ALL ON TABLES TO service_role;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT EXECUTE ON FUNCTIONS TO anon, authenticated, service_role;
@@ -0,0 +1,135 @@
+/**
+ * Precompile each region's centres workbook into a hashed JSON index.
+ *
+ * Reads the workbook of every region in src/utils/regions.js, locates centres
+ * through data/postal-codes.csv, and writes
+ *   public/data/centres.<hash>.json   - one per region: normalized centres, offerings, levels, subjects
+ *   public/data/postal-codes.<hash>.json - the centre and home postal code tables
+ *                                       (data/home-postal-codes.csv) in one, for
+ *                                       parents typing a postal code
+ *   public/data/centres-manifest.json - points the app at each region's current index file
+ *                                       and the postal code file
+ *   public/data/changelog.json        - copy of data/changelog.json ("What's new")
+ *
+ * Runs automatically before `npm run dev` and `npm run build`, and refuses to
+ * write any index when a workbook fails validation or two regions share a
+ * centre id.
+ */
+import { createHash } from 'node:crypto';
+import { copyFileSync, existsSync, mkdirSync, readdirSync, unlinkSync, writeFileSync } from 'node:fs';
+import { join, relative } from 'node:path';
+import { buildCentresIndex, CENTRES_INDEX_VERSION } from '../src/utils/dataLoader.js';
+import { REGIONS } from '../src/utils/regions.js';
+import { getWorkbookPath, readWorkbook, ROOT } from './lib/workbook.js';
+import { formatValidationReport, validateWorkbook } from './lib/validateWorkbook.js';
+import { CHANGELOG_PATH } from './lib/changelog.js';
+import { HOME_POSTAL_CODES_PATH, readPostalCodeRows, readPostalCodes } from './lib/postalCodes.js';
+
+const OUTPUT_DIR = join(ROOT, 'public', 'data');
+const INDEX_FILE_PATTERN = /^(centres|postal-codes)\.[0-9a-f]+\.json$/;
+
+function buildRegionIndex(region, postalCodes) {
+  const { centresRaw, offeringsRaw } = readWorkbook(getWorkbookPath(region.id));
+
+  const validation = validateWorkbook({ centresRaw, offeringsRaw, postalCodes });
+  if (validation.errors.length > 0) {
+    console.error(`${region.name}:\n${formatValidationReport(validation)}`);
+    console.error('\nCentres index not written: fix the workbook errors above.');
+    process.exit(1);
+  }
+  if (validation.warnings.length > 0) {
+    console.warn(`${region.name}:\n${formatValidationReport(validation)}\n`);
+  }
+
+  return buildCentresIndex(centresRaw, offeringsRaw, region.id, postalCodes);
+}
+
+// Centre ids are used in URLs and comments without a region, so they must be
+// unique across regions
+function findSharedCentreIds(indexes) {
+  const regionsById = new Map();
+  const shared = [];
+
+  indexes.forEach(({ region, index }) => {
+    index.centres.forEach(centre => {
+      const other = regionsById.get(centre.id);
+      if (other) {
+        shared.push(`"${centre.id}" is used in both ${other.name} and ${region.name}`);
+      } else {
+        regionsById.set(centre.id, region);
+      }
+    });
+  });
+
+  return shared;
+}
+
+// Only what the app's postal code lookup needs (see src/utils/postalLookup.js);
+// a centre's row wins over the same code in the home table
+function writePostalCodesFile() {
+  const rows = new Map(
+    [...readPostalCodeRows(HOME_POSTAL_CODES_PATH), ...readPostalCodeRows()].map(row => [row.postalCode, row])
+  );
+  const codes = [...rows.values()]
+    .sort((a, b) => a.postalCode.localeCompare(b.postalCode))
+    .map(({ postalCode, lat, lng, block, street, building }) => ({ postalCode, lat, lng, block, street, building }));
+  const payload = JSON.stringify({ codes });
+  const hash = createHash('sha256').update(payload).digest('hex').slice(0, 12);
+  const file = `postal-codes.${hash}.json`;
+
+  writeFileSync(join(OUTPUT_DIR, file), payload);
+  console.log(`Wrote ${relative(ROOT, join(OUTPUT_DIR, file))}: ${codes.length} postal codes`);
+  return { hash, file };
+}
+
+function main() {
+  const postalCodes = readPostalCodes();
+  const indexes = REGIONS.map(region => ({ region, index: buildRegionIndex(region, postalCodes) }));
+
+  const sharedIds = findSharedCentreIds(indexes);
+  if (sharedIds.length > 0) {
+    sharedIds.forEach(message => console.error(`Duplicate centre_id: ${message}`));
+    console.error('\nCentres index not written: give these centres an explicit, distinct centre_id.');
+    process.exit(1);
+  }
+
+  mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  const regions = {};
+  indexes.forEach(({ region, index }) => {
+    // Hash the versioned data so an unchanged workbook keeps the same file name
+    const payload = JSON.stringify({ version: CENTRES_INDEX_VERSION, ...index });
+    const hash = createHash('sha256').update(payload).digest('hex').slice(0, 12);
+    const file = `centres.${hash}.json`;
+
+    writeFileSync(
+      join(OUTPUT_DIR, file),
+      JSON.stringify({ version: CENTRES_INDEX_VERSION, hash, ...index })
+    );
+    regions[region.id] = { hash, file };
+
+    console.log(
+      `Wrote ${relative(ROOT, join(OUTPUT_DIR, file))} (${region.name}): ` +
+      `${index.centres.length} centres, ${index.offerings.length} offerings`
+    );
+  });
+
+  const postalCodesFile = writePostalCodesFile();
+
+  // Drop index files from previous workbook versions
+  const currentFiles = new Set([...Object.values(regions), postalCodesFile].map(({ file }) => file));
+  readdirSync(OUTPUT_DIR)
+    .filter(name => INDEX_FILE_PATTERN.test(name) && !currentFiles.has(name))
+    .forEach(name => unlinkSync(join(OUTPUT_DIR, name)));
+
+  writeFileSync(
+    join(OUTPUT_DIR, 'centres-manifest.json'),
+    JSON.stringify({ version: CENTRES_INDEX_VERSION, regions, postalCodes: postalCodesFile }, null, 2) + '\n'
+  );
+
+  if (existsSync(CHANGELOG_PATH)) {
+    copyFileSync(CHANGELOG_PATH, join(OUTPUT_DIR, 'changelog.json'));
+  }
+}
+
+main();
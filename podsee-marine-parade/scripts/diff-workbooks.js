@@ -0,0 +1,106 @@
+/**
+ * Compare two versions of the centres workbook and print a changelog.
+ *
+ * Usage: node scripts/diff-workbooks.js <old> [new] [--region <id>] [--json] [--write] [--title "..."]
+ *
+ *   <old>, [new]  a workbook path, or git:<revision> for the workbook as
+ *                 committed at that revision (git:<revision>:<path> if it has
+ *                 moved since); [new] defaults to the current workbook
+ *   --region      region the workbooks belong to (default marine-parade)
+ *   --json        print the structured changelog entry instead of text
+ *   --write       add the entry to data/changelog.json (the "What's new" page)
+ *   --title       short description stored with the entry
+ *
+ * e.g. `npm run diff:data -- git:HEAD --write --title "October refresh"` after
+ * replacing the workbook.
+ */
+import { execFileSync } from 'node:child_process';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { basename, join } from 'node:path';
+import { buildCentresIndex } from '../src/utils/dataLoader.js';
+import {
+  getRegionOption,
+  getWorkbookPath,
+  readWorkbook,
+  readWorkbookAtRevision,
+  ROOT,
+} from './lib/workbook.js';
+import {
+  buildChangelogEntry,
+  CHANGELOG_PATH,
+  formatChangelogEntry,
+  isEmptyChangelogEntry,
+} from './lib/changelog.js';
+import { readPostalCodes } from './lib/postalCodes.js';
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const write = args.includes('--write');
+const titleIndex = args.indexOf('--title');
+const title = titleIndex !== -1 ? args[titleIndex + 1] : null;
+const regionIndex = args.indexOf('--region');
+const regionId = getRegionOption(args);
+const workbookPath = getWorkbookPath(regionId);
+const optionValueIndexes = [titleIndex, regionIndex].filter(index => index !== -1).map(index => index + 1);
+const sources = args.filter((arg, index) => !arg.startsWith('--') && !optionValueIndexes.includes(index));
+
+function parseGitSource(source) {
+  const [revision, path] = source.slice(4).split(/:(.*)/s);
+  return { revision, path: path ? join(ROOT, path) : workbookPath };
+}
+
+function readSource(source) {
+  if (source.startsWith('git:')) {
+    const { revision, path } = parseGitSource(source);
+    return readWorkbookAtRevision(revision, path);
+  }
+  return readWorkbook(source);
+}
+
+// How a source is recorded in the (public) changelog: short commit hash or file name
+function describeSource(source) {
+  if (source.startsWith('git:')) {
+    const { revision } = parseGitSource(source);
+    return execFileSync('git', ['rev-parse', '--short', revision], { cwd: ROOT, encoding: 'utf8' }).trim();
+  }
+  return source === workbookPath ? 'current' : basename(source);
+}
+
+// Both versions are located through the current postal code table
+function loadIndex(source, postalCodes) {
+  const { centresRaw, offeringsRaw } = readSource(source);
+  return buildCentresIndex(centresRaw, offeringsRaw, regionId, postalCodes);
+}
+
+function main() {
+  const [previousSource, nextSource = workbookPath] = sources;
+  if (!previousSource) {
+    console.error(
+      'Usage: node scripts/diff-workbooks.js <old> [new] [--region <id>] [--json] [--write] [--title "..."]'
+    );
+    process.exit(1);
+  }
+
+  const postalCodes = readPostalCodes();
+  const entry = buildChangelogEntry(loadIndex(previousSource, postalCodes), loadIndex(nextSource, postalCodes), {
+    region: regionId,
+    title,
+    from: describeSource(previousSource),
+    to: describeSource(nextSource),
+  });
+
+  console.log(json ? JSON.stringify(entry, null, 2) : formatChangelogEntry(entry));
+
+  if (!write) return;
+
+  if (isEmptyChangelogEntry(entry)) {
+    console.log('\nNo changes: changelog not updated.');
+    return;
+  }
+
+  const changelog = JSON.parse(readFileSync(CHANGELOG_PATH, 'utf8'));
+  writeFileSync(CHANGELOG_PATH, JSON.stringify([entry, ...changelog], null, 2) + '\n');
+  console.log(`\nAdded to data/changelog.json (${changelog.length + 1} entries).`);
+}
+
+main();
@@ -0,0 +1,192 @@
+/**
+ * Add the workbooks' postal codes to data/postal-codes.csv, or the homes of a
+ * region to data/home-postal-codes.csv.
+ *
+ * Usage:
+ *   node scripts/geocode-postal-codes.js [--refresh] [--dry-run] [--add <code> ...]
+ *   node scripts/geocode-postal-codes.js --homes [--region <id>] [--from <code>] [--dry-run]
+ *
+ *   (default)   look up postal codes of every region's centres that aren't in
+ *               the table yet
+ *   --refresh   look up every postal code in the table again, replacing the
+ *               coordinates (including "manual" rows)
+ *   --add       also look up these postal codes, e.g. a centre's neighbours
+ *   --homes     walk every postal code of the regions' postal sectors (see
+ *               src/utils/regions.js) and keep the ones OneMap knows, so
+ *               parents' home postal codes resolve offline. About an hour per
+ *               sector; the table is saved as it goes
+ *   --region    with --homes, only this region's sectors
+ *   --from      with --homes, resume the walk at this postal code
+ *   --dry-run   print the lookups without writing the table
+ *
+ * Lookups go to OneMap's public search API (no key needed), one at a time.
+ * Codes OneMap doesn't know are reported (for centres); add them to the table
+ * by hand with source "manual".
+ */
+import { normalizePostalCode } from '../src/utils/dataLoader.js';
+import { getRegion, REGIONS } from '../src/utils/regions.js';
+import { getRegionOption, getWorkbookPath, readWorkbook } from './lib/workbook.js';
+import { HOME_POSTAL_CODES_PATH, readPostalCodeRows, writePostalCodeRows } from './lib/postalCodes.js';
+
+const ONEMAP_SEARCH_URL = 'https://www.onemap.gov.sg/api/common/elastic/search';
+// Pause between lookups, to stay well under OneMap's rate limit
+const LOOKUP_DELAY_MS = 250;
+// Home walk: save the table every so many lookups
+const SAVE_EVERY = 500;
+
+const args = process.argv.slice(2);
+const refresh = args.includes('--refresh');
+const dryRun = args.includes('--dry-run');
+const homes = args.includes('--homes');
+const addIndex = args.indexOf('--add');
+const extraPostalCodes = addIndex === -1 ? [] : args.slice(addIndex + 1).filter(arg => !arg.startsWith('--'));
+const fromIndex = args.indexOf('--from');
+const fromPostalCode = fromIndex === -1 ? null : args[fromIndex + 1];
+
+function getWorkbookPostalCodes() {
+  const postalCodes = new Set();
+  REGIONS.forEach(region => {
+    readWorkbook(getWorkbookPath(region.id)).centresRaw.forEach(centre => {
+      const postalCode = normalizePostalCode(centre.postal_code);
+      if (postalCode && /^\d{6}$/.test(postalCode)) postalCodes.add(postalCode);
+    });
+  });
+  return [...postalCodes].sort();
+}
+
+// OneMap writes "NIL" for missing address parts
+function addressPart(value) {
+  return value && value !== 'NIL' ? value.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase()) : null;
+}
+
+/**
+ * { lat, lng, block, street, building } of a postal code from OneMap, or null
+ * if it isn't found
+ */
+async function lookUpPostalCode(postalCode) {
+  const url = `${ONEMAP_SEARCH_URL}?searchVal=${postalCode}&returnGeom=Y&getAddrDetails=Y&pageNum=1`;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`OneMap lookup of ${postalCode} failed (${response.status})`);
+  }
+
+  const { results = [] } = await response.json();
+  const match = results.find(result => result.POSTAL === postalCode);
+  if (!match) return null;
+
+  return {
+    lat: Number(match.LATITUDE),
+    lng: Number(match.LONGITUDE),
+    block: match.BLK_NO && match.BLK_NO !== 'NIL' ? match.BLK_NO : null,
+    street: addressPart(match.ROAD_NAME),
+    building: addressPart(match.BUILDING),
+  };
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Every postal code of the sectors ("44" → 440000..449999), from `from` on
+ */
+function getSectorPostalCodes(sectors, from) {
+  return sectors
+    .flatMap(sector => Array.from({ length: 10000 }, (_, index) => `${sector}${String(index).padStart(4, '0')}`))
+    .filter(postalCode => !from || postalCode >= from);
+}
+
+async function geocodeHomes() {
+  if (fromPostalCode !== null && !/^\d{6}$/.test(fromPostalCode || '')) {
+    throw new Error(`Not a postal code: ${fromPostalCode}`);
+  }
+  const regions = args.includes('--region') ? [getRegion(getRegionOption(args))] : REGIONS;
+  const sectors = [...new Set(regions.flatMap(region => region.postalSectors || []))].sort();
+  if (sectors.length === 0) {
+    throw new Error('No postal sectors configured for these regions (see src/utils/regions.js)');
+  }
+
+  const rows = new Map(readPostalCodeRows(HOME_POSTAL_CODES_PATH).map(row => [row.postalCode, row]));
+  const postalCodes = getSectorPostalCodes(sectors, fromPostalCode);
+  const save = () => {
+    if (!dryRun) writePostalCodeRows([...rows.values()], HOME_POSTAL_CODES_PATH);
+  };
+
+  console.log(`Walking postal sectors ${sectors.join(', ')}: ${postalCodes.length} codes.`);
+  let found = 0;
+  for (const [index, postalCode] of postalCodes.entries()) {
+    if (index > 0) await wait(LOOKUP_DELAY_MS);
+
+    let location;
+    try {
+      location = await lookUpPostalCode(postalCode);
+    } catch (err) {
+      save();
+      throw new Error(`${err.message}; resume with --from ${postalCode}`);
+    }
+    if (location) {
+      found++;
+      rows.set(postalCode, { postalCode, ...location, source: 'onemap' });
+    }
+    if ((index + 1) % SAVE_EVERY === 0) {
+      save();
+      console.log(`${postalCode}: ${found} found so far (resume with --from ${postalCode})`);
+    }
+  }
+  save();
+
+  console.log(dryRun
+    ? `\nDry run: ${found} postal codes found, data/home-postal-codes.csv not updated.`
+    : `\nUpdated data/home-postal-codes.csv (${rows.size} postal codes, ${found} found in this walk).`);
+}
+
+async function main() {
+  if (homes) {
+    await geocodeHomes();
+    return;
+  }
+
+  const rows = new Map(readPostalCodeRows().map(row => [row.postalCode, row]));
+  const invalid = extraPostalCodes.filter(postalCode => !/^\d{6}$/.test(postalCode));
+  if (invalid.length > 0) {
+    throw new Error(`Not postal codes: ${invalid.join(', ')}`);
+  }
+
+  const postalCodes = refresh
+    ? [...new Set([...rows.keys(), ...getWorkbookPostalCodes(), ...extraPostalCodes])].sort()
+    : [...new Set([...getWorkbookPostalCodes(), ...extraPostalCodes])].sort().filter(code => !rows.has(code));
+
+  if (postalCodes.length === 0) {
+    console.log('Every postal code has coordinates: nothing to look up.');
+    return;
+  }
+
+  const notFound = [];
+  for (const [index, postalCode] of postalCodes.entries()) {
+    if (index > 0) await wait(LOOKUP_DELAY_MS);
+
+    const location = await lookUpPostalCode(postalCode);
+    if (!location) {
+      notFound.push(postalCode);
+      continue;
+    }
+    console.log(`${postalCode}: ${location.lat}, ${location.lng}`);
+    rows.set(postalCode, { postalCode, ...location, source: 'onemap' });
+  }
+
+  if (notFound.length > 0) {
+    console.warn(`\nNot found on OneMap (add them by hand): ${notFound.join(', ')}`);
+  }
+
+  if (dryRun) {
+    console.log('\nDry run: data/postal-codes.csv not updated.');
+    return;
+  }
+  writePostalCodeRows([...rows.values()]);
+  console.log(`\nUpdated data/postal-codes.csv (${rows.size} postal codes).`);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,168 @@
+/**
+ * Import centres and offerings into the Supabase `centres` / `offerings` tables.
+ *
+ * Usage:
+ *   node scripts/import-centres.js [workbook.xlsx] [--region <id>] [--apply] [--prune] [--sql]
+ *   node scripts/import-centres.js --centres centres.csv --offerings offerings.csv [...]
+ *
+ *   (default)  print what would change compared with the database
+ *   --region   region the import replaces (default marine-parade); without a
+ *              path, its workbook is imported
+ *   --apply    upsert the changes (needs VITE_SUPABASE_URL and
+ *              SUPABASE_SERVICE_KEY in .env; the key is read by this script
+ *              only and must not have a VITE_ prefix)
+ *   --prune    also delete centres/offerings of the region that are no longer
+ *              in the import
+ *   --sql      print SQL for the whole import instead (no database access),
+ *              e.g. `... --sql | psql "$DATABASE_URL"` for a local Postgres
+ *
+ * Reads the same sheets as build:data and refuses to import when they fail
+ * validation or reuse a centre id another region owns in the database.
+ */
+import { buildCentresIndex, centresIndexToRows } from '../src/utils/dataLoader.js';
+import { getRegionOption, getWorkbookPath, readCsv, readWorkbook } from './lib/workbook.js';
+import { formatValidationReport, validateWorkbook } from './lib/validateWorkbook.js';
+import { createServiceClient, fetchAllRows } from './lib/supabase.js';
+import { readPostalCodes } from './lib/postalCodes.js';
+import {
+  diffCentreRows,
+  findCentreIdsOwnedElsewhere,
+  formatImportReport,
+  formatImportSql,
+  getRowsToUpsert,
+} from './lib/centreImport.js';
+
+// Rows per upsert request
+const BATCH_SIZE = 500;
+
+const args = process.argv.slice(2);
+const apply = args.includes('--apply');
+const prune = args.includes('--prune');
+const sql = args.includes('--sql');
+const regionId = getRegionOption(args);
+
+function optionValue(name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+}
+
+function readSource() {
+  const centresCsv = optionValue('--centres');
+  const offeringsCsv = optionValue('--offerings');
+
+  if (centresCsv || offeringsCsv) {
+    if (!centresCsv || !offeringsCsv) {
+      throw new Error('CSV import needs both --centres and --offerings');
+    }
+    return { centresRaw: readCsv(centresCsv), offeringsRaw: readCsv(offeringsCsv) };
+  }
+
+  const optionValues = ['--centres', '--offerings', '--region'].map(optionValue);
+  const path = args.find(arg => !arg.startsWith('--') && !optionValues.includes(arg));
+  return readWorkbook(path || getWorkbookPath(regionId));
+}
+
+async function upsertInBatches(supabase, table, rows, onConflict) {
+  const updatedAt = new Date().toISOString();
+
+  for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+    const batch = rows.slice(start, start + BATCH_SIZE).map(row => ({ ...row, updated_at: updatedAt }));
+    const { error } = await supabase.from(table).upsert(batch, { onConflict });
+    if (error) throw new Error(`Failed to upsert ${table}: ${error.message}`);
+  }
+}
+
+async function deleteRemoved(supabase, diff) {
+  for (const row of diff.offerings.removed) {
+    const { error } = await supabase
+      .from('offerings')
+      .delete()
+      .eq('centre_id', row.centre_id)
+      .eq('level', row.level)
+      .eq('subject', row.subject)
+      .filter('streams', 'eq', `{${row.streams.join(',')}}`);
+    if (error) throw new Error(`Failed to delete offering: ${error.message}`);
+  }
+
+  const removedCentreIds = diff.centres.removed.map(row => row.centre_id);
+  if (removedCentreIds.length > 0) {
+    const { error } = await supabase.from('centres').delete().in('centre_id', removedCentreIds);
+    if (error) throw new Error(`Failed to delete centres: ${error.message}`);
+  }
+}
+
+async function main() {
+  const source = readSource();
+  const postalCodes = readPostalCodes();
+
+  const validation = validateWorkbook({ ...source, postalCodes });
+  if (validation.errors.length > 0) {
+    console.error(formatValidationReport(validation));
+    console.error('\nNothing imported: fix the errors above.');
+    process.exit(1);
+  }
+
+  const rows = centresIndexToRows(buildCentresIndex(source.centresRaw, source.offeringsRaw, regionId, postalCodes));
+
+  if (sql) {
+    console.log(formatImportSql(rows, { prune, region: regionId }));
+    return;
+  }
+
+  // Compare with this region's rows only, so other regions are never pruned
+  const supabase = createServiceClient();
+  const current = {
+    centres: await fetchAllRows(
+      supabase,
+      'centres',
+      'centre_id, region, name, brand, branch, address, postal_code, lat, lng, website_url, whatsapp_number, ' +
+        'contact_type, position',
+      'position',
+      query => query.eq('region', regionId)
+    ),
+    offerings: await fetchAllRows(
+      supabase,
+      'offerings',
+      'centre_id, level, subject, streams, notes, fee_amount, fee_unit, fee_monthly, lessons_per_month, ' +
+        'lesson_slots, class_size, position, centres!inner(region)',
+      'position',
+      query => query.eq('centres.region', regionId)
+    ),
+  };
+
+  // Centre ids are unique across regions (see findSharedCentreIds in
+  // build-centres-index.js), so never take over another region's centre
+  const otherRegionCentres = await fetchAllRows(
+    supabase,
+    'centres',
+    'centre_id, region',
+    'centre_id',
+    query => query.neq('region', regionId)
+  );
+  const ownedElsewhere = findCentreIdsOwnedElsewhere(otherRegionCentres, rows);
+  if (ownedElsewhere.length > 0) {
+    ownedElsewhere.forEach(message => console.error(`Duplicate centre_id: ${message}`));
+    console.error('\nNothing imported: give these centres an explicit, distinct centre_id.');
+    process.exit(1);
+  }
+
+  const diff = diffCentreRows(current, rows);
+  console.log(formatImportReport(diff, { prune }));
+
+  if (!apply) {
+    console.log('\nDry run: re-run with --apply to write these changes.');
+    return;
+  }
+
+  const upserts = getRowsToUpsert(diff);
+  await upsertInBatches(supabase, 'centres', upserts.centres, 'centre_id');
+  await upsertInBatches(supabase, 'offerings', upserts.offerings, 'centre_id,level,subject,streams');
+  if (prune) await deleteRemoved(supabase, diff);
+
+  console.log(`\nImported ${rows.centres.length} centres and ${rows.offerings.length} offerings.`);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
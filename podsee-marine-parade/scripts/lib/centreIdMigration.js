@@ -0,0 +1,150 @@
+/**
+ * Plan the move of `comments.centre_id` from postal codes to stable centre ids.
+ *
+ * A postal code shared by one centre maps straight across. When several
+ * centres share it, the comment's level/subject (if any) picks the one centre
+ * that teaches that class; otherwise the comment needs a manual override.
+ * Replies always follow their parent so threads are never split.
+ */
+import { getMatchingOfferings } from '../../src/utils/dataLoader.js';
+import { isLegacyCentreId } from '../../src/utils/centreIdGenerator.js';
+
+/**
+ * @param {Object} options
+ * @param {Array} options.centres - hydrated centres (with `id` and `offerings`)
+ * @param {Array} options.comments - rows with comment_id, centre_id,
+ *   parent_comment_id, level, subject, stream
+ * @param {Object} [options.overrides] - comment_id → centre id, for comments
+ *   that can't be matched automatically
+ * @returns {{ updates: Array, unresolved: Array, unchanged: number }}
+ *   updates are { comment, from, to, reason }; unresolved are { comment, reason, candidates }
+ */
+export function planCentreIdMigration({ centres, comments, overrides = {} }) {
+  const currentIds = new Set(centres.map(centre => centre.id));
+  const centresByPostalCode = new Map();
+
+  centres.forEach(centre => {
+    const postalCode = String(centre.postalCode ?? '').trim();
+    if (!postalCode) return;
+    if (!centresByPostalCode.has(postalCode)) centresByPostalCode.set(postalCode, []);
+    centresByPostalCode.get(postalCode).push(centre);
+  });
+
+  const commentsById = new Map(comments.map(comment => [comment.comment_id, comment]));
+  // comment_id → { to, reason } or { to: null, reason, candidates }
+  const resolved = new Map();
+
+  const resolve = (comment) => {
+    if (resolved.has(comment.comment_id)) return resolved.get(comment.comment_id);
+
+    let result;
+    const override = overrides[comment.comment_id];
+    const parent = comment.parent_comment_id ? commentsById.get(comment.parent_comment_id) : null;
+
+    if (override) {
+      result = currentIds.has(override)
+        ? { to: override, reason: 'override' }
+        : { to: null, reason: `override "${override}" is not a centre id`, candidates: [] };
+    } else if (parent) {
+      const parentResult = resolve(parent);
+      result = parentResult.to
+        ? { to: parentResult.to, reason: 'parent comment' }
+        : { to: null, reason: 'parent comment is unresolved', candidates: [] };
+    } else if (currentIds.has(comment.centre_id)) {
+      result = { to: comment.centre_id, reason: 'already migrated' };
+    } else if (!isLegacyCentreId(comment.centre_id)) {
+      result = { to: null, reason: 'unknown centre id', candidates: [] };
+    } else {
+      const candidates = centresByPostalCode.get(String(comment.centre_id).trim()) || [];
+
+      if (candidates.length === 1) {
+        result = { to: candidates[0].id, reason: 'postal code' };
+      } else if (candidates.length === 0) {
+        result = { to: null, reason: 'no centre has this postal code', candidates: [] };
+      } else {
+        // Shared postal code: narrow down by the class the review is about
+        const teaching = comment.level && comment.subject
+          ? candidates.filter(centre =>
+              getMatchingOfferings(centre, comment.level, comment.subject, comment.stream || null).length > 0
+            )
+          : [];
+
+        result = teaching.length === 1
+          ? { to: teaching[0].id, reason: `postal code + ${comment.level} ${comment.subject}` }
+          : {
+              to: null,
+              reason: `postal code shared by ${candidates.length} centres`,
+              candidates: (teaching.length > 1 ? teaching : candidates).map(centre => centre.id),
+            };
+      }
+    }
+
+    resolved.set(comment.comment_id, result);
+    return result;
+  };
+
+  const updates = [];
+  const unresolved = [];
+  let unchanged = 0;
+
+  comments.forEach(comment => {
+    const result = resolve(comment);
+
+    if (!result.to) {
+      unresolved.push({ comment, reason: result.reason, candidates: result.candidates });
+    } else if (result.to === comment.centre_id) {
+      unchanged++;
+    } else {
+      updates.push({ comment, from: comment.centre_id, to: result.to, reason: result.reason });
+    }
+  });
+
+  return { updates, unresolved, unchanged };
+}
+
+function quote(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * SQL for a migration plan, for running in the Supabase SQL editor.
+ * Each update checks the old centre_id so re-running it is harmless.
+ */
+export function formatMigrationSql({ updates }) {
+  const lines = ['BEGIN;'];
+
+  updates.forEach(({ comment, from, to }) => {
+    lines.push(
+      `UPDATE comments SET centre_id = ${quote(to)} ` +
+      `WHERE comment_id = ${quote(comment.comment_id)} AND centre_id = ${quote(from)};`
+    );
+  });
+
+  lines.push('COMMIT;');
+  return lines.join('\n');
+}
+
+/**
+ * Render a migration plan as a plain-text report.
+ */
+export function formatMigrationReport({ updates, unresolved, unchanged }) {
+  const lines = [];
+
+  lines.push(`${updates.length} comment${updates.length !== 1 ? 's' : ''} to move, ${unchanged} already on current ids`);
+  updates.forEach(({ comment, from, to, reason }) => {
+    lines.push(`  ${comment.comment_id}: ${from} → ${to} (${reason})`);
+  });
+
+  if (unresolved.length > 0) {
+    lines.push('');
+    lines.push(`${unresolved.length} comment${unresolved.length !== 1 ? 's' : ''} need an override (left unchanged):`);
+    unresolved.forEach(({ comment, reason, candidates }) => {
+      const excerpt = String(comment.text || '').replace(/\s+/g, ' ').slice(0, 60);
+      lines.push(`  ${comment.comment_id}: ${comment.centre_id} - ${reason}`);
+      if (candidates.length > 0) lines.push(`    candidates: ${candidates.join(', ')}`);
+      if (excerpt) lines.push(`    "${excerpt}"`);
+    });
+  }
+
+  return lines.join('\n');
+}
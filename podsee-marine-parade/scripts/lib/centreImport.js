@@ -0,0 +1,188 @@
+/**
+ * Compare `centres` / `offerings` table rows from the database with rows
+ * built from the workbook, and render the changes as a report or as SQL.
+ * Row shapes come from centresIndexToRows in src/utils/dataLoader.js.
+ */
+import { getOfferingRowKey } from '../../src/utils/dataLoader.js';
+
+// Columns that count as a change (position only reorders rows)
+const CENTRE_FIELDS = [
+  'region', 'name', 'brand', 'branch', 'address', 'postal_code', 'lat', 'lng',
+  'website_url', 'whatsapp_number', 'contact_type',
+];
+const OFFERING_FIELDS = ['notes', 'fee_amount', 'fee_unit', 'fee_monthly', 'lessons_per_month', 'lesson_slots', 'class_size'];
+
+const CENTRE_COLUMNS = ['centre_id', ...CENTRE_FIELDS, 'position'];
+const OFFERING_COLUMNS = ['centre_id', 'level', 'subject', 'streams', ...OFFERING_FIELDS, 'position'];
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function diffRows(currentRows, nextRows, getKey, fields) {
+  const current = new Map(currentRows.map(row => [getKey(row), row]));
+  const next = new Map(nextRows.map(row => [getKey(row), row]));
+
+  const added = [];
+  const updated = [];
+  const reordered = [];
+
+  next.forEach((row, key) => {
+    const existing = current.get(key);
+    if (!existing) {
+      added.push(row);
+      return;
+    }
+
+    const changes = fields
+      .filter(field => !sameValue(existing[field], row[field]))
+      .map(field => ({ field, from: existing[field] ?? null, to: row[field] ?? null }));
+
+    if (changes.length > 0) {
+      updated.push({ row, changes });
+    } else if (existing.position !== row.position) {
+      reordered.push(row);
+    }
+  });
+
+  const removed = currentRows.filter(row => !next.has(getKey(row)));
+
+  return { added, updated, reordered, removed };
+}
+
+/**
+ * @returns {{ centres: Object, offerings: Object }} each { added, updated, reordered, removed }
+ */
+export function diffCentreRows(current, next) {
+  return {
+    centres: diffRows(current.centres, next.centres, row => row.centre_id, CENTRE_FIELDS),
+    offerings: diffRows(current.offerings, next.offerings, getOfferingRowKey, OFFERING_FIELDS),
+  };
+}
+
+/**
+ * Centre ids of the import that another region already owns in the database
+ * (`otherRegionCentres`: { centre_id, region } rows outside the import's
+ * region). Upserting them would move that region's centre, and its comments,
+ * into this one.
+ * @returns {string[]} one message per id
+ */
+export function findCentreIdsOwnedElsewhere(otherRegionCentres, rows) {
+  const owners = new Map(otherRegionCentres.map(row => [row.centre_id, row.region]));
+
+  return rows.centres
+    .filter(row => owners.has(row.centre_id))
+    .map(row => `"${row.centre_id}" (${row.name}) already belongs to ${owners.get(row.centre_id)}`);
+}
+
+/**
+ * Rows the importer has to write for a diff
+ */
+export function getRowsToUpsert(diff) {
+  const rowsOf = ({ added, updated, reordered }) => [
+    ...added,
+    ...updated.map(({ row }) => row),
+    ...reordered,
+  ];
+
+  return { centres: rowsOf(diff.centres), offerings: rowsOf(diff.offerings) };
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  const text = String(value).replace(/\s+/g, ' ');
+  return `"${text.length > 50 ? `${text.slice(0, 50)}…` : text}"`;
+}
+
+function describeOffering(row) {
+  const streams = row.streams && row.streams.length > 0 ? ` (${row.streams.join('/')})` : '';
+  return `${row.centre_id} ${row.level} ${row.subject}${streams}`;
+}
+
+function formatSection(title, { added, updated, reordered, removed }, describe, prune) {
+  const lines = [
+    `${title}: ${added.length} added, ${updated.length} changed, ${removed.length} removed` +
+    (reordered.length > 0 ? `, ${reordered.length} reordered` : ''),
+  ];
+
+  added.forEach(row => lines.push(`  + ${describe(row)}`));
+  updated.forEach(({ row, changes }) => {
+    lines.push(`  ~ ${describe(row)}`);
+    changes.forEach(({ field, from, to }) => {
+      lines.push(`      ${field}: ${formatValue(from)} → ${formatValue(to)}`);
+    });
+  });
+  removed.forEach(row => lines.push(`  - ${describe(row)}${prune ? '' : ' (kept; pass --prune to delete)'}`));
+
+  return lines;
+}
+
+/**
+ * Render a diff as a plain-text change report.
+ */
+export function formatImportReport(diff, { prune = false } = {}) {
+  return [
+    ...formatSection('Centres', diff.centres, row => `${row.centre_id} (${row.name})`, prune),
+    '',
+    ...formatSection('Offerings', diff.offerings, describeOffering, prune),
+  ].join('\n');
+}
+
+function sqlLiteral(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (Array.isArray(value)) {
+    return value.length > 0 ? `ARRAY[${value.map(sqlLiteral).join(', ')}]::TEXT[]` : `'{}'::TEXT[]`;
+  }
+  if (typeof value === 'number') return String(value);
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function upsertSql(table, columns, keyColumns, rows) {
+  if (rows.length === 0) return [];
+
+  const updateColumns = columns.filter(column => !keyColumns.includes(column));
+  const values = rows.map(row => `  (${columns.map(column => sqlLiteral(row[column])).join(', ')})`);
+
+  return [
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES`,
+    values.join(',\n'),
+    `ON CONFLICT (${keyColumns.join(', ')}) DO UPDATE SET`,
+    updateColumns.map(column => `  ${column} = EXCLUDED.${column},`).join('\n'),
+    '  updated_at = NOW()',
+    `WHERE (${updateColumns.map(column => `${table}.${column}`).join(', ')})`,
+    `  IS DISTINCT FROM (${updateColumns.map(column => `EXCLUDED.${column}`).join(', ')});`,
+  ];
+}
+
+/**
+ * SQL that brings any Postgres with supabase-schema.sql applied in line with
+ * the given rows, for the Supabase SQL editor or psql against a local database.
+ * With prune, rows of `region` missing from the import are deleted.
+ */
+export function formatImportSql(rows, { prune = false, region } = {}) {
+  const lines = [
+    'BEGIN;',
+    ...upsertSql('centres', CENTRE_COLUMNS, ['centre_id'], rows.centres),
+    ...upsertSql('offerings', OFFERING_COLUMNS, ['centre_id', 'level', 'subject', 'streams'], rows.offerings),
+  ];
+
+  if (prune) {
+    const regionCentres = `centre_id IN (SELECT centre_id FROM centres WHERE region = ${sqlLiteral(region)})`;
+    const offeringKeys = rows.offerings.map(row =>
+      `(${['centre_id', 'level', 'subject', 'streams'].map(column => sqlLiteral(row[column])).join(', ')})`
+    );
+    lines.push(
+      offeringKeys.length > 0
+        ? `DELETE FROM offerings WHERE ${regionCentres}\n  AND (centre_id, level, subject, streams) NOT IN (VALUES\n  ${offeringKeys.join(',\n  ')});`
+        : `DELETE FROM offerings WHERE ${regionCentres};`
+    );
+    lines.push(
+      rows.centres.length > 0
+        ? `DELETE FROM centres WHERE region = ${sqlLiteral(region)}\n  AND centre_id NOT IN (${rows.centres.map(row => sqlLiteral(row.centre_id)).join(', ')});`
+        : `DELETE FROM centres WHERE region = ${sqlLiteral(region)};`
+    );
+  }
+
+  lines.push('COMMIT;');
+  return lines.join('\n');
+}
@@ -0,0 +1,149 @@
+/**
+ * Structured changelog between two versions of the centres data.
+ *
+ * Both versions go through buildCentresIndex (the normalization the app uses),
+ * so alias spellings, ignored levels and stream formatting don't show up as
+ * changes. Entries are stored newest first in data/changelog.json and shown
+ * on the app's "What's new" page.
+ */
+import { join } from 'node:path';
+import { centresIndexToRows } from '../../src/utils/dataLoader.js';
+import { diffCentreRows } from './centreImport.js';
+import { ROOT } from './workbook.js';
+
+export const CHANGELOG_PATH = join(ROOT, 'data', 'changelog.json');
+
+// Row columns → changelog field names; other columns (coordinates) follow from
+// these and aren't listed
+const CENTRE_FIELD_NAMES = {
+  region: 'region',
+  name: 'name',
+  brand: 'brand',
+  branch: 'branch',
+  address: 'address',
+  postal_code: 'postalCode',
+  website_url: 'websiteUrl',
+  whatsapp_number: 'whatsappNumber',
+  contact_type: 'contactType',
+};
+
+/**
+ * @param {Object} previousIndex - centres index of the old version
+ * @param {Object} nextIndex - centres index of the new version
+ * @param {Object} meta - { date, region, title, from, to } stored on the entry
+ */
+export function buildChangelogEntry(previousIndex, nextIndex, meta = {}) {
+  const previousRows = centresIndexToRows(previousIndex);
+  const nextRows = centresIndexToRows(nextIndex);
+  const diff = diffCentreRows(previousRows, nextRows);
+
+  // Offerings of removed centres are named from the old version
+  const centreNames = new Map([
+    ...previousRows.centres.map(row => [row.centre_id, row.name]),
+    ...nextRows.centres.map(row => [row.centre_id, row.name]),
+  ]);
+
+  const toCentre = row => ({ id: row.centre_id, name: row.name });
+  const toOffering = row => ({
+    centreId: row.centre_id,
+    centre: centreNames.get(row.centre_id),
+    level: row.level,
+    subject: row.subject,
+    streams: row.streams,
+  });
+
+  const entry = {
+    date: meta.date || new Date().toISOString().slice(0, 10),
+    region: meta.region || null,
+    title: meta.title || null,
+    from: meta.from || null,
+    to: meta.to || null,
+    centres: {
+      added: diff.centres.added.map(toCentre),
+      removed: diff.centres.removed.map(toCentre),
+      changed: diff.centres.updated
+        .map(({ row, changes }) => ({
+          ...toCentre(row),
+          changes: changes
+            .filter(({ field }) => CENTRE_FIELD_NAMES[field])
+            .map(({ field, from, to }) => ({ field: CENTRE_FIELD_NAMES[field], from, to })),
+        }))
+        .filter(centre => centre.changes.length > 0),
+    },
+    offerings: {
+      added: diff.offerings.added.map(toOffering),
+      removed: diff.offerings.removed.map(toOffering),
+      changed: diff.offerings.updated.map(({ row, changes }) => ({
+        ...toOffering(row),
+        changes: changes.map(({ field, from, to }) => ({ field, from, to })),
+      })),
+    },
+  };
+
+  entry.summary = {
+    centresAdded: entry.centres.added.length,
+    centresRemoved: entry.centres.removed.length,
+    centresChanged: entry.centres.changed.length,
+    offeringsAdded: entry.offerings.added.length,
+    offeringsRemoved: entry.offerings.removed.length,
+    offeringsChanged: entry.offerings.changed.length,
+  };
+
+  return entry;
+}
+
+export function isEmptyChangelogEntry(entry) {
+  return Object.values(entry.summary).every(count => count === 0);
+}
+
+function describeOffering({ centre, level, subject, streams }) {
+  const streamText = streams.length > 0 ? ` (${streams.join('/')})` : '';
+  return `${centre}: ${level} ${subject}${streamText}`;
+}
+
+function formatValue(value) {
+  return value === null || value === undefined || value === '' ? '(empty)' : `"${value}"`;
+}
+
+/**
+ * Render a changelog entry as plain text.
+ */
+export function formatChangelogEntry(entry) {
+  const { summary } = entry;
+  const lines = [
+    `${entry.date}${entry.title ? ` - ${entry.title}` : ''}`,
+    `Centres: ${summary.centresAdded} added, ${summary.centresRemoved} removed, ${summary.centresChanged} changed`,
+  ];
+
+  entry.centres.added.forEach(centre => lines.push(`  + ${centre.name}`));
+  entry.centres.removed.forEach(centre => lines.push(`  - ${centre.name}`));
+  entry.centres.changed.forEach(centre => {
+    lines.push(`  ~ ${centre.name}`);
+    centre.changes.forEach(({ field, from, to }) => {
+      lines.push(`      ${field}: ${formatValue(from)} → ${formatValue(to)}`);
+    });
+  });
+
+  lines.push(
+    `Offerings: ${summary.offeringsAdded} added, ${summary.offeringsRemoved} removed, ${summary.offeringsChanged} changed`
+  );
+
+  // Offerings of centres that were added or removed outright aren't listed one by one
+  const wholeCentres = new Set([...entry.centres.added, ...entry.centres.removed].map(centre => centre.id));
+  const listed = offering => !wholeCentres.has(offering.centreId);
+  const unlisted = [...entry.offerings.added, ...entry.offerings.removed].filter(offering => !listed(offering));
+
+  entry.offerings.added.filter(listed).forEach(offering => lines.push(`  + ${describeOffering(offering)}`));
+  entry.offerings.removed.filter(listed).forEach(offering => lines.push(`  - ${describeOffering(offering)}`));
+  if (unlisted.length > 0) {
+    lines.push(`  (${unlisted.length} more from the centres added/removed above)`);
+  }
+  entry.offerings.changed.forEach(offering => {
+    lines.push(`  ~ ${describeOffering(offering)}`);
+    offering.changes.forEach(({ field, from, to }) => {
+      lines.push(`      ${field}: ${formatValue(from)} → ${formatValue(to)}`);
+    });
+  });
+
+  return lines.join('\n');
+}
@@ -0,0 +1,75 @@
+/**
+ * Bundled Singapore postal code → coordinates tables:
+ * - data/postal-codes.csv: the centres' postal codes. Centres are located
+ *   through it when the data is built, so the app gets distances without
+ *   geocoding at runtime.
+ * - data/home-postal-codes.csv: every address in the regions' postal sectors
+ *   (`npm run geocode:data -- --homes`), for parents typing their own.
+ * Both ship with the app for the location bar (src/utils/postalLookup.js).
+ * Rows are
+ *   postal_code,lat,lng,block,street,building,source
+ * where block, street and building may be empty, and source is "onemap"
+ * (looked up by scripts/geocode-postal-codes.js) or "manual" (entered by hand;
+ * refreshed with `npm run geocode:data -- --refresh`).
+ */
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { ROOT } from './workbook.js';
+
+export const POSTAL_CODES_PATH = join(ROOT, 'data', 'postal-codes.csv');
+export const HOME_POSTAL_CODES_PATH = join(ROOT, 'data', 'home-postal-codes.csv');
+
+const HEADER = 'postal_code,lat,lng,block,street,building,source';
+
+/**
+ * Rows of the table ({ postalCode, lat, lng, block, street, building, source }).
+ * Read as plain text: a CSV parser would turn "018956" into a number.
+ */
+export function readPostalCodeRows(path = POSTAL_CODES_PATH) {
+  if (!existsSync(path)) return [];
+
+  const [header, ...lines] = readFileSync(path, 'utf8').split(/\r?\n/).filter(line => line.trim());
+  if (header !== HEADER) {
+    throw new Error(`${path} must start with "${HEADER}"`);
+  }
+
+  return lines.map((line, index) => {
+    const [postalCode, lat, lng, block, street, building, source] = line.split(',').map(value => value.trim());
+    if (!/^\d{6}$/.test(postalCode) || !Number.isFinite(Number(lat)) || !Number.isFinite(Number(lng))) {
+      throw new Error(`${path}:${index + 2}: invalid row "${line}"`);
+    }
+    return {
+      postalCode,
+      lat: Number(lat),
+      lng: Number(lng),
+      block: block || null,
+      street: street || null,
+      building: building || null,
+      source: source || 'manual',
+    };
+  });
+}
+
+/**
+ * Postal code → { lat, lng }
+ */
+export function readPostalCodes(path = POSTAL_CODES_PATH) {
+  return new Map(readPostalCodeRows(path).map(({ postalCode, lat, lng }) => [postalCode, { lat, lng }]));
+}
+
+// Values are written unquoted
+function toCell(value) {
+  return value === null || value === undefined ? '' : String(value).replace(/,/g, ' ').trim();
+}
+
+/**
+ * Write the table, sorted by postal code
+ */
+export function writePostalCodeRows(rows, path = POSTAL_CODES_PATH) {
+  const lines = [...rows]
+    .sort((a, b) => a.postalCode.localeCompare(b.postalCode))
+    .map(({ postalCode, lat, lng, block, street, building, source }) =>
+      [postalCode, lat.toFixed(5), lng.toFixed(5), block, street, building, source].map(toCell).join(',')
+    );
+  writeFileSync(path, [HEADER, ...lines].join('\n') + '\n');
+}
@@ -0,0 +1,39 @@
+/**
+ * Service-role Supabase client for the data scripts.
+ * Reads VITE_SUPABASE_URL and SUPABASE_SERVICE_KEY from .env (or the
+ * environment). The key has no VITE_ prefix so Vite never inlines it into the
+ * app bundle.
+ */
+import { createClient } from '@supabase/supabase-js';
+import { loadEnv } from 'vite';
+import { ROOT } from './workbook.js';
+
+// PostgREST caps responses (1000 rows by default), so read in pages
+const PAGE_SIZE = 1000;
+
+export function createServiceClient() {
+  // '' prefix: every variable, not only VITE_ ones
+  const env = loadEnv('', ROOT, '');
+  if (!env.VITE_SUPABASE_URL || !env.SUPABASE_SERVICE_KEY) {
+    throw new Error('VITE_SUPABASE_URL and SUPABASE_SERVICE_KEY must be set in .env');
+  }
+
+  return createClient(env.VITE_SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+}
+
+/**
+ * Read every row of a table, ordered by `orderBy`; `filter` may narrow the query
+ */
+export async function fetchAllRows(supabase, table, columns, orderBy, filter = query => query) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await filter(supabase.from(table).select(columns))
+      .order(orderBy, { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw new Error(`Failed to fetch ${table}: ${error.message}`);
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
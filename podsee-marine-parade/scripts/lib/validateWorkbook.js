@@ -0,0 +1,243 @@
+/**
+ * Workbook validation for the `centres` and `offerings` sheets.
+ *
+ * Errors are problems that would break or silently drop data in the app
+ * (orphan offerings, clashing centre ids, invalid postal codes, levels/subjects
+ * missing from the taxonomy in src/utils/taxonomy.js, unreadable fees,
+ * lesson slots and class sizes, brands spelled two ways).
+ * Warnings are problems a parent would notice but the app tolerates.
+ */
+import {
+  getStreamsForLevel,
+  isKnownLevel,
+  isKnownStream,
+  isKnownSubject,
+  normalizeLevel,
+  normalizeStreams,
+  normalizeSubject,
+} from '../../src/utils/taxonomy.js';
+import { CENTRE_ID_PATTERN, resolveCentreId, slugifyCentreName } from '../../src/utils/centreIdGenerator.js';
+import { parseOfferingDetails } from '../../src/utils/offeringDetails.js';
+import { normalizePostalCode } from '../../src/utils/dataLoader.js';
+
+const CONTACT_TYPES = ['Whatsapp', 'LandLine'];
+
+// Singapore postal codes are exactly 6 digits
+const POSTAL_CODE_PATTERN = /^\d{6}$/;
+
+// Country code 65 followed by an 8-digit number starting with 3, 6, 8 or 9
+const SG_PHONE_PATTERN = /^65[3689]\d{7}$/;
+
+// sheet_to_json skips the header row, and sheet rows are 1-based
+function sheetRow(index) {
+  return index + 2;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Validate raw sheet rows. With `postalCodes` (readPostalCodes), centres whose
+ * postal code has no coordinates are reported.
+ * @returns {{ errors: Array, warnings: Array }} issues as { sheet, row, message }
+ */
+export function validateWorkbook({ centresRaw, offeringsRaw, postalCodes = null }) {
+  const errors = [];
+  const warnings = [];
+  const error = (sheet, row, message) => errors.push({ sheet, row, message });
+  const warn = (sheet, row, message) => warnings.push({ sheet, row, message });
+
+  if (centresRaw.length === 0) error('centres', null, 'Sheet is missing or empty');
+  if (offeringsRaw.length === 0) error('offerings', null, 'Sheet is missing or empty');
+
+  // Centres
+  const centreRows = new Map();
+  const idRows = new Map();
+  // Brand slug → { brand, branches: Map<branch_name, row> }
+  const brands = new Map();
+
+  centresRaw.forEach((centre, index) => {
+    const row = sheetRow(index);
+    const name = isBlank(centre.centre_name) ? null : String(centre.centre_name).trim();
+
+    if (!name) {
+      error('centres', row, 'Missing centre_name');
+      return;
+    }
+
+    if (centreRows.has(name)) {
+      error('centres', row, `Duplicate centre_name "${name}" (first seen on row ${centreRows.get(name)})`);
+    } else {
+      centreRows.set(name, row);
+    }
+
+    // Comments are stored against the id, so it must be unique and well-formed
+    const id = resolveCentreId(centre);
+    if (!CENTRE_ID_PATTERN.test(id)) {
+      error('centres', row, `"${name}" has invalid centre_id "${id}" (use lowercase words joined by hyphens)`);
+    } else if (idRows.has(id)) {
+      error('centres', row, `"${name}" has the same centre_id "${id}" as row ${idRows.get(id)}; set a distinct centre_id`);
+    } else {
+      idRows.set(id, row);
+    }
+
+    // Located through data/postal-codes.csv (the address is the runtime fallback)
+    const postalCode = normalizePostalCode(centre.postal_code);
+    if (isBlank(centre.postal_code)) {
+      warn('centres', row, `"${name}" has no postal_code`);
+    } else if (!POSTAL_CODE_PATTERN.test(postalCode)) {
+      error('centres', row, `"${name}" has invalid postal_code "${centre.postal_code}" (not 6 digits)`);
+    } else {
+      if (postalCode !== String(centre.postal_code).trim()) {
+        warn('centres', row, `"${name}" has postal_code ${centre.postal_code} stored as a number, read as ${postalCode} (format the column as text)`);
+      }
+      if (postalCodes && !postalCodes.has(postalCode)) {
+        warn('centres', row, `"${name}" has postal_code ${postalCode} with no coordinates (run npm run geocode:data)`);
+      }
+    }
+
+    if (isBlank(centre.address)) {
+      warn('centres', row, `"${name}" has no address`);
+    }
+
+    if (isBlank(centre.whatsapp_number)) {
+      warn('centres', row, `"${name}" has no whatsapp_number`);
+    } else {
+      const number = String(centre.whatsapp_number).replace(/[\s+-]/g, '');
+      if (!SG_PHONE_PATTERN.test(number)) {
+        warn('centres', row, `"${name}" has malformed whatsapp_number "${centre.whatsapp_number}"`);
+      }
+    }
+
+    const contactType = centre['Whatsapp/Call'];
+    if (!isBlank(contactType) && !CONTACT_TYPES.includes(contactType)) {
+      warn('centres', row, `"${name}" has unknown Whatsapp/Call value "${contactType}"`);
+    }
+
+    if (!isBlank(centre.website_url) && !/^https?:\/\//i.test(String(centre.website_url))) {
+      warn('centres', row, `"${name}" has website_url without http(s): "${centre.website_url}"`);
+    }
+
+    // Branches are grouped by the exact brand text, so variants would split a chain
+    if (!isBlank(centre.brand)) {
+      const brand = String(centre.brand).trim();
+      const slug = slugifyCentreName(brand);
+      if (!brands.has(slug)) brands.set(slug, { brand, branches: new Map() });
+      const known = brands.get(slug);
+
+      if (known.brand !== brand) {
+        error('centres', row, `"${name}" has brand "${brand}", spelled "${known.brand}" elsewhere`);
+      }
+
+      const branch = isBlank(centre.branch_name) ? null : String(centre.branch_name).trim();
+      if (!branch) {
+        warn('centres', row, `"${name}" has a brand but no branch_name`);
+      } else if (known.branches.has(branch)) {
+        warn('centres', row, `"${name}" has the same branch_name "${branch}" as row ${known.branches.get(branch)} of ${known.brand}`);
+      } else {
+        known.branches.set(branch, row);
+      }
+    }
+  });
+
+  // Offerings
+  const offeringRows = new Map();
+  const centresWithOfferings = new Set();
+
+  offeringsRaw.forEach((offering, index) => {
+    const row = sheetRow(index);
+    const name = isBlank(offering.centre_name) ? null : String(offering.centre_name).trim();
+
+    if (!name) {
+      error('offerings', row, 'Missing centre_name');
+      return;
+    }
+
+    if (!centreRows.has(name)) {
+      error('offerings', row, `Orphan offering: no centre named "${name}"`);
+    } else {
+      centresWithOfferings.add(name);
+    }
+
+    let level = null;
+    if (isBlank(offering.level)) {
+      error('offerings', row, `"${name}" offering has no level`);
+    } else {
+      level = normalizeLevel(offering.level);
+      // null means the level is deliberately ignored (J1/J2)
+      if (level === null) return;
+      if (!isKnownLevel(level)) {
+        error('offerings', row, `"${name}" has unknown level "${offering.level}"`);
+      }
+    }
+
+    let subject = null;
+    if (isBlank(offering.subject)) {
+      error('offerings', row, `"${name}" offering has no subject`);
+    } else {
+      subject = normalizeSubject(offering.subject);
+      if (!isKnownSubject(subject)) {
+        error('offerings', row, `"${name}" has unmapped subject "${offering.subject}"`);
+      }
+    }
+
+    const streams = normalizeStreams(offering.stream);
+    streams.forEach(stream => {
+      if (!isKnownStream(stream)) {
+        error('offerings', row, `"${name}" has unknown stream "${stream}"`);
+      } else if (level && isKnownLevel(level) && !getStreamsForLevel(level).includes(stream)) {
+        error('offerings', row, `"${name}" has stream "${stream}", which does not apply to ${level}`);
+      }
+    });
+
+    // Optional fee / lesson slot / class size columns; unreadable values would be dropped
+    parseOfferingDetails(offering).problems.forEach(problem => {
+      error('offerings', row, `"${name}" has ${problem}`);
+    });
+
+    if (level && subject) {
+      const key = `${name}|${level}|${subject}|${streams.join('/')}`;
+      if (offeringRows.has(key)) {
+        const streamText = streams.length > 0 ? ` (${streams.join('/')})` : '';
+        warn('offerings', row, `Duplicate offering "${name}" ${level} ${subject}${streamText} (first seen on row ${offeringRows.get(key)})`);
+      } else {
+        offeringRows.set(key, row);
+      }
+    }
+  });
+
+  centreRows.forEach((row, name) => {
+    if (!centresWithOfferings.has(name)) {
+      warn('centres', row, `"${name}" has no offerings`);
+    }
+  });
+
+  return { errors, warnings };
+}
+
+function formatIssue({ sheet, row, message }) {
+  return row ? `  ${sheet}!${row}: ${message}` : `  ${sheet}: ${message}`;
+}
+
+/**
+ * Render a validation result as a plain-text report.
+ */
+export function formatValidationReport({ errors, warnings }) {
+  const lines = [];
+
+  if (errors.length > 0) {
+    lines.push(`${errors.length} error${errors.length !== 1 ? 's' : ''}:`);
+    errors.forEach(issue => lines.push(formatIssue(issue)));
+  }
+
+  if (warnings.length > 0) {
+    if (lines.length > 0) lines.push('');
+    lines.push(`${warnings.length} warning${warnings.length !== 1 ? 's' : ''}:`);
+    warnings.forEach(issue => lines.push(formatIssue(issue)));
+  }
+
+  if (lines.length === 0) lines.push('Workbook OK: no errors or warnings');
+
+  return lines.join('\n');
+}
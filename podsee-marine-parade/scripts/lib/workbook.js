@@ -0,0 +1,72 @@
+/**
+ * Shared workbook access for the build-time data scripts.
+ */
+import { execFileSync } from 'node:child_process';
+import { readFileSync } from 'node:fs';
+import { dirname, join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as XLSX from 'xlsx';
+import { DEFAULT_REGION_ID, getRegion, REGION_IDS } from '../../src/utils/regions.js';
+
+export const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+/**
+ * Workbook of a region in the registry (src/utils/regions.js)
+ */
+export function getWorkbookPath(regionId = DEFAULT_REGION_ID) {
+  const region = getRegion(regionId);
+  if (!region || !region.workbook) {
+    throw new Error(`Unknown region "${regionId}" (known: ${REGION_IDS.join(', ')})`);
+  }
+  return join(ROOT, 'data', region.workbook);
+}
+
+export const WORKBOOK_PATH = getWorkbookPath();
+
+/**
+ * Value of a `--region <id>` option, defaulting to the default region
+ */
+export function getRegionOption(args) {
+  const index = args.indexOf('--region');
+  const regionId = index !== -1 && args[index + 1] ? args[index + 1] : DEFAULT_REGION_ID;
+  if (!REGION_IDS.includes(regionId)) {
+    throw new Error(`Unknown region "${regionId}" (known: ${REGION_IDS.join(', ')})`);
+  }
+  return regionId;
+}
+
+function parseWorkbook(data) {
+  const workbook = XLSX.read(data);
+
+  return {
+    centresRaw: XLSX.utils.sheet_to_json(workbook.Sheets['centres'] || {}),
+    offeringsRaw: XLSX.utils.sheet_to_json(workbook.Sheets['offerings'] || {}),
+  };
+}
+
+/**
+ * Read the raw `centres` and `offerings` sheet rows from a workbook.
+ */
+export function readWorkbook(path = WORKBOOK_PATH) {
+  return parseWorkbook(readFileSync(path));
+}
+
+/**
+ * Read a workbook as it was at a git revision (commit, tag, branch).
+ */
+export function readWorkbookAtRevision(revision, path = WORKBOOK_PATH) {
+  const data = execFileSync('git', ['show', `${revision}:./${relative(ROOT, path)}`], {
+    cwd: ROOT,
+    maxBuffer: 64 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  return parseWorkbook(data);
+}
+
+/**
+ * Read sheet rows from a CSV export of one sheet (first row is the header).
+ */
+export function readCsv(path) {
+  const workbook = XLSX.read(readFileSync(path, 'utf8'), { type: 'string' });
+  return XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]] || {});
+}
@@ -0,0 +1,88 @@
+/**
+ * Move existing comments from postal-code centre ids to stable centre ids.
+ *
+ * Usage: node scripts/migrate-comment-centre-ids.js [--apply] [--sql] [--overrides path.json]
+ *
+ *   (default)    print what would change
+ *   --apply      update comments in Supabase (needs SUPABASE_SERVICE_KEY)
+ *   --sql        print the updates as SQL for the Supabase SQL editor instead
+ *   --overrides  JSON file of { "<comment_id>": "<centre id>" } for comments
+ *                the report lists as needing an override
+ *
+ * Reads VITE_SUPABASE_URL and SUPABASE_SERVICE_KEY from .env. Comments
+ * that can't be matched are left as they are, so nothing is lost; re-run with
+ * overrides once they are sorted out.
+ */
+import { readFileSync } from 'node:fs';
+import { buildCentresIndex, hydrateCentresIndex } from '../src/utils/dataLoader.js';
+import { readWorkbook } from './lib/workbook.js';
+import { createServiceClient, fetchAllRows } from './lib/supabase.js';
+import {
+  formatMigrationReport,
+  formatMigrationSql,
+  planCentreIdMigration,
+} from './lib/centreIdMigration.js';
+
+const args = process.argv.slice(2);
+const apply = args.includes('--apply');
+const sql = args.includes('--sql');
+const overridesIndex = args.indexOf('--overrides');
+const overridesPath = overridesIndex !== -1 ? args[overridesIndex + 1] : null;
+
+async function applyUpdates(supabase, updates) {
+  // One request per old → new id pair
+  const batches = new Map();
+  updates.forEach(({ comment, from, to }) => {
+    const key = JSON.stringify([from, to]);
+    if (!batches.has(key)) batches.set(key, { from, to, ids: [] });
+    batches.get(key).ids.push(comment.comment_id);
+  });
+
+  for (const { from, to, ids } of batches.values()) {
+    const { error } = await supabase
+      .from('comments')
+      .update({ centre_id: to })
+      .in('comment_id', ids)
+      .eq('centre_id', from);
+
+    if (error) throw new Error(`Failed to move comments ${from} → ${to}: ${error.message}`);
+  }
+}
+
+async function main() {
+  const supabase = createServiceClient();
+  const { centresRaw, offeringsRaw } = readWorkbook();
+  const centres = hydrateCentresIndex(buildCentresIndex(centresRaw, offeringsRaw));
+  const overrides = overridesPath ? JSON.parse(readFileSync(overridesPath, 'utf8')) : {};
+
+  const plan = planCentreIdMigration({
+    centres,
+    comments: await fetchAllRows(
+      supabase,
+      'comments',
+      'comment_id, centre_id, parent_comment_id, level, subject, stream, text',
+      'created_at'
+    ),
+    overrides,
+  });
+
+  if (sql) {
+    console.log(formatMigrationSql(plan));
+    return;
+  }
+
+  console.log(formatMigrationReport(plan));
+
+  if (!apply) {
+    if (plan.updates.length > 0) console.log('\nDry run: re-run with --apply to update comments.');
+    return;
+  }
+
+  await applyUpdates(supabase, plan.updates);
+  console.log(`\nMoved ${plan.updates.length} comment${plan.updates.length !== 1 ? 's' : ''}.`);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+/**
+ * Validate a centres workbook and print a report.
+ *
+ * Usage: node scripts/validate-workbook.js [path/to/workbook.xlsx] [--region <id>] [--strict]
+ *
+ * Without a path, validates the workbook of --region (default marine-parade).
+ * Exits non-zero when there are errors (or any warnings with --strict).
+ */
+import { getRegionOption, getWorkbookPath, readWorkbook } from './lib/workbook.js';
+import { formatValidationReport, validateWorkbook } from './lib/validateWorkbook.js';
+import { readPostalCodes } from './lib/postalCodes.js';
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const regionIndex = args.indexOf('--region');
+const regionId = getRegionOption(args);
+const path = args.find((arg, index) => !arg.startsWith('--') && (regionIndex === -1 || index !== regionIndex + 1))
+  || getWorkbookPath(regionId);
+
+const result = validateWorkbook({ ...readWorkbook(path), postalCodes: readPostalCodes() });
+console.log(formatValidationReport(result));
+
+if (result.errors.length > 0 || (strict && result.warnings.length > 0)) {
+  process.exit(1);
+}
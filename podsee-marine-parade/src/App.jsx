@@ -1,15 +1,44 @@
-import { Routes, Route } from 'react-router-dom'
+import { useEffect } from 'react'
+import { Routes, Route, Navigate, useLocation, useParams } from 'react-router-dom'
 import LandingPage from './pages/LandingPage'
 import ResultsPage from './pages/ResultsPage'
 import AdminPage from './pages/AdminPage'
+import WhatsNewPage from './pages/WhatsNewPage'
+import { DEFAULT_REGION_ID, getLastRegion, getRegionName, isKnownRegion, regionPath, rememberRegion } from './utils/regions'
 import './App.css'
 
+// Renders a region-scoped page, redirecting unknown regions to the last-used one
+function RegionRoute({ render }) {
+  const { region } = useParams()
+  const known = isKnownRegion(region)
+
+  useEffect(() => {
+    if (!known) return
+    rememberRegion(region)
+    document.title = `Podsee - ${getRegionName(region)} Tuition`
+  }, [known, region])
+
+  if (!known) return <Navigate to={regionPath(getLastRegion())} replace />
+  return render(region)
+}
+
+// Links from before region-scoped routes (/results?...) point at Marine Parade
+function LegacyResultsRedirect() {
+  const { search } = useLocation()
+  return <Navigate to={`${regionPath(DEFAULT_REGION_ID, '/results')}${search}`} replace />
+}
+
+// Pages are keyed by region so switching regions starts them afresh
 function App() {
   return (
     <Routes>
-      <Route path="/" element={<LandingPage />} />
-      <Route path="/results" element={<ResultsPage />} />
+      <Route path="/" element={<Navigate to={regionPath(getLastRegion())} replace />} />
+      <Route path="/results" element={<LegacyResultsRedirect />} />
+      <Route path="/whats-new" element={<WhatsNewPage />} />
       <Route path="/civictyperadmin" element={<AdminPage />} />
+      <Route path="/:region" element={<RegionRoute render={region => <LandingPage key={region} region={region} />} />} />
+      <Route path="/:region/results" element={<RegionRoute render={region => <ResultsPage key={region} region={region} />} />} />
+      <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
   )
 }
@@ -0,0 +1,96 @@
+import { useState } from 'react'
+import { Box, Button, Card, CardContent, Collapse, Typography } from '@mui/material'
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore'
+import ExpandLessIcon from '@mui/icons-material/ExpandLess'
+import { getBranchLabel } from '../utils/brands'
+
+/**
+ * Result card for a brand with several branches in the results: the brand,
+ * its branches and the nearest one's distance, expanding to the branch cards
+ * passed as children. `distanceLabel` is undefined until distances are known.
+ */
+function BrandCard({ brand, branches, distanceLabel, children }) {
+  const [expanded, setExpanded] = useState(false)
+
+  return (
+    <Card
+      sx={{
+        bgcolor: '#ffffff',
+        boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+        borderRadius: 1,
+      }}
+    >
+      <CardContent
+        onClick={() => setExpanded(!expanded)}
+        sx={{ cursor: 'pointer', '&:last-child': { pb: 1.5 } }}
+      >
+        <Typography
+          variant="h6"
+          sx={{
+            fontSize: '16px',
+            fontWeight: 600,
+            color: '#3d3d3d',
+            mb: 0.5,
+          }}
+        >
+          {brand}
+        </Typography>
+
+        <Typography
+          variant="body2"
+          sx={{
+            color: '#888888',
+            fontSize: '12px',
+            mb: 0.5,
+          }}
+        >
+          {branches.length} branches: {branches.map(getBranchLabel).join(' · ')}
+        </Typography>
+
+        <Typography
+          variant="body2"
+          sx={{
+            color: distanceLabel !== undefined ? '#4caf50' : '#cccccc',
+            fontSize: '12px',
+            fontWeight: 500,
+            mb: 0.5,
+          }}
+        >
+          {distanceLabel !== undefined ? distanceLabel : '...'}
+        </Typography>
+
+        <Button
+          size="small"
+          endIcon={expanded ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+          sx={{
+            color: '#2c4a3a',
+            textTransform: 'none',
+            fontSize: '12px',
+            fontWeight: 600,
+            px: 0,
+          }}
+        >
+          {expanded ? 'Hide branches' : `Show ${branches.length} branches`}
+        </Button>
+      </CardContent>
+
+      <Collapse in={expanded} unmountOnExit>
+        <Box
+          sx={{
+            display: 'flex',
+            flexDirection: 'column',
+            gap: 1.5,
+            px: 1.5,
+            pb: 1.5,
+            bgcolor: '#f5f1e8',
+            pt: 1.5,
+          }}
+        >
+          {children}
+        </Box>
+      </Collapse>
+    </Card>
+  )
+}
+
+export default BrandCard
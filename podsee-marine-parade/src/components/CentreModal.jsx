@@ -4,10 +4,33 @@ import WhatsAppIcon from '@mui/icons-material/WhatsApp';
 import PhoneIcon from '@mui/icons-material/Phone';
 import LanguageIcon from '@mui/icons-material/Language';
 import CommentSection from './CommentSection';
+import ClassTimetable from './ClassTimetable';
+import MrtInfo from './MrtInfo';
+import { formatClassSize, formatFeeSummary, hasOfferingDetails } from '../utils/offeringDetails';
+import { getStreamLabel, streamMatches, subjectMatches } from '../utils/taxonomy';
 
-export default function CentreModal({ centre, open, onClose, level = null, subject = null }) {
+// `branches`: every branch of the centre's brand, for brand-wide reviews
+export default function CentreModal({ centre, nearestMrt = null, branches = [], open, onClose, level = null, subject = null, stream = null }) {
   if (!centre) return null;
 
+  // Classes listing a fee, lesson slots or class size (the searched class only,
+  // if any, matched like the search: umbrella subjects and equivalent streams)
+  const classDetails = centre.offerings.filter(offering =>
+    hasOfferingDetails(offering) &&
+    (!level || offering.level === level) &&
+    (!subject || subjectMatches(subject, offering.subject)) &&
+    streamMatches(stream, offering.streams)
+  );
+  const feeLines = classDetails
+    .map(offering => ({
+      offering,
+      text: [
+        formatFeeSummary(offering),
+        offering.classSize != null ? formatClassSize(offering.classSize) : null,
+      ].filter(Boolean).join(' · '),
+    }))
+    .filter(({ text }) => text);
+
   // Direct Ping Click Tracking
   const trackClick = async (type, destination) => {
     const webhookUrl = import.meta.env.VITE_CLICK_LOG_WEBHOOK_URL;
@@ -92,9 +115,16 @@ export default function CentreModal({ centre, open, onClose, level = null, subje
     >
       {/* Header - Fixed at top */}
       <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexShrink: 0 }}>
-        <Typography variant="h6" component="div">
-          {centre.name}
-        </Typography>
+        <Box>
+          <Typography variant="h6" component="div">
+            {centre.name}
+          </Typography>
+          {centre.brand && branches.length > 1 && (
+            <Typography variant="body2" color="text.secondary">
+              {centre.branch ? `${centre.branch} branch` : 'Branch'} of {centre.brand} · {branches.length} branches
+            </Typography>
+          )}
+        </Box>
         <IconButton onClick={onClose} size="small">
           <CloseIcon />
         </IconButton>
@@ -109,7 +139,40 @@ export default function CentreModal({ centre, open, onClose, level = null, subje
           <Typography variant="body2" color="text.secondary">
             {centre.postalCode}
           </Typography>
+          <MrtInfo station={nearestMrt || centre.nearestMrt} fontSize="14px" sx={{ mt: 0.5 }} />
         </Box>
+
+        {classDetails.length > 0 && (
+          <Box sx={{ mb: 2, maxHeight: 200, overflowY: 'auto' }}>
+            {feeLines.length > 0 && (
+              <Typography variant="subtitle2" sx={{ mb: 0.5 }}>
+                Fees & class size
+              </Typography>
+            )}
+            {feeLines.map(({ offering, text }) => (
+              <Typography
+                key={`${offering.level}-${offering.subject}-${offering.streams.join('/')}`}
+                variant="body2"
+                color="text.secondary"
+                sx={{ mb: 0.5 }}
+              >
+                <Box component="span" sx={{ fontWeight: 600, color: 'text.primary' }}>
+                  {offering.level} {offering.subject}
+                  {offering.streams.length > 0 && ` (${offering.streams.map(getStreamLabel).join('/')})`}
+                </Box>
+                {' '}{text}
+              </Typography>
+            ))}
+            {classDetails.some(offering => offering.slots.length > 0) && (
+              <>
+                <Typography variant="subtitle2" sx={{ mt: feeLines.length > 0 ? 1 : 0, mb: 0.5 }}>
+                  Timetable
+                </Typography>
+                <ClassTimetable offerings={classDetails} />
+              </>
+            )}
+          </Box>
+        )}
       </DialogContent>
 
       {/* Action Buttons - Fixed at top */}
@@ -139,7 +202,7 @@ export default function CentreModal({ centre, open, onClose, level = null, subje
 
       {/* Parent Reviews - Flexible height with internal scrolling */}
       <Box sx={{ flex: 1, display: 'flex', flexDirection: 'column', minHeight: 0 }}>
-        <CommentSection centre={centre} level={level} subject={subject} />
+        <CommentSection centre={centre} branches={branches} level={level} subject={subject} stream={stream} />
       </Box>
     </Dialog>
   );
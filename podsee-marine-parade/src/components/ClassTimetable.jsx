@@ -0,0 +1,57 @@
+import { Box, Typography } from '@mui/material'
+import { DAY_LABELS, getTimetable } from '../utils/offeringDetails'
+import { getStreamLabel } from '../utils/taxonomy'
+
+function classLabel({ level, subject, streams }) {
+  return `${level} ${subject}${streams.length > 0 ? ` (${streams.map(getStreamLabel).join('/')})` : ''}`
+}
+
+/**
+ * Compact week grid of the slots each class runs in (classes down, days across)
+ */
+function ClassTimetable({ offerings }) {
+  const { days, rows } = getTimetable(offerings)
+  if (rows.length === 0) return null
+
+  const cellSx = {
+    px: 0.5,
+    py: 0.25,
+    fontSize: '11px',
+    borderBottom: '1px solid #eeeeee',
+    whiteSpace: 'nowrap',
+  }
+
+  return (
+    <Box sx={{ overflowX: 'auto' }}>
+      <Box
+        sx={{
+          display: 'grid',
+          gridTemplateColumns: `minmax(96px, max-content) repeat(${days.length}, max-content)`,
+          alignItems: 'start',
+        }}
+      >
+        <Box sx={cellSx} />
+        {days.map(day => (
+          <Typography key={day} component="div" sx={{ ...cellSx, fontWeight: 600, color: 'text.secondary' }}>
+            {DAY_LABELS[day]}
+          </Typography>
+        ))}
+        {rows.map(({ offering, cells }) => {
+          const label = classLabel(offering)
+          return [
+            <Typography key={label} component="div" sx={{ ...cellSx, fontWeight: 600, whiteSpace: 'normal' }}>
+              {label}
+            </Typography>,
+            ...days.map(day => (
+              <Typography key={`${label}-${day}`} component="div" sx={{ ...cellSx, color: 'text.secondary' }}>
+                {(cells[day] || []).map(time => <Box key={time}>{time}</Box>)}
+              </Typography>
+            )),
+          ]
+        })}
+      </Box>
+    </Box>
+  )
+}
+
+export default ClassTimetable
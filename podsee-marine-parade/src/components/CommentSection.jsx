@@ -10,44 +10,36 @@ import {
   MenuItem,
   ListSubheader,
   FormControl,
+  Chip,
 } from '@mui/material';
 import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
 import CommentInput from './CommentInput';
 import CommentItem from './CommentItem';
 import UsernamePrompt from './UsernamePrompt';
-import { fetchComments, createComment } from '../utils/commentService';
+import { fetchComments, fetchBrandComments, createComment } from '../utils/commentService';
 import { generateCentreId } from '../utils/centreIdGenerator';
-
-// Canonical ordering
-const LEVEL_ORDER = [
-  'P1', 'P2', 'P3', 'P4', 'P5', 'P6',
-  'S1', 'S2', 'S3', 'S4', 'S5',
-  'JC1', 'JC2',
-  'IB', 'Y5 (IB)', 'Y6 (IB)',
-];
-
-const SUBJECT_ORDER = [
-  'Biology', 'Chemistry', 'Physics', 'Science', 'Mathematics', 'Higher Chinese',
-  'Chinese', 'English', 'Economics', 'History', 'Social Studies', 'Literature',
-  'Geography', 'General Paper', 'POA', 'Malay', 'English Language & Linguistics',
-  'English Language & Literature', 'China Studies in English',
-];
-
-// Human-readable level group names
-const LEVEL_GROUP_NAMES = {
-  P1: 'Primary 1', P2: 'Primary 2', P3: 'Primary 3', P4: 'Primary 4', P5: 'Primary 5', P6: 'Primary 6',
-  S1: 'Secondary 1', S2: 'Secondary 2', S3: 'Secondary 3', S4: 'Secondary 4', S5: 'Secondary 5',
-  JC1: 'JC 1', JC2: 'JC 2',
-  IB: 'IB', 'Y5 (IB)': 'Year 5 (IB)', 'Y6 (IB)': 'Year 6 (IB)',
-};
+import { getBranchLabel } from '../utils/brands';
+import {
+  compareLevels,
+  compareStreams,
+  compareSubjects,
+  getLevelLabel,
+  getStreamLabel,
+  streamMatches,
+  subjectMatches,
+} from '../utils/taxonomy';
 
 // Stable key for filter comparison
-function filterKey(level, subject) {
+function filterKey(level, subject, stream = null) {
   if (!level && !subject) return 'all';
-  return `${level}__${subject}`;
+  return stream ? `${level}__${subject}__${stream}` : `${level}__${subject}`;
 }
 
-export default function CommentSection({ centre, level = null, subject = null }) {
+/**
+ * `branches` lists every branch of the centre's brand (itself included); with
+ * more than one, reviews can be read for this branch or across the brand.
+ */
+export default function CommentSection({ centre, branches = [], level = null, subject = null, stream = null }) {
   const [username, setUsername] = useState('');
   const [showUsernamePrompt, setShowUsernamePrompt] = useState(false);
   const [comments, setComments] = useState([]);
@@ -57,8 +49,10 @@ export default function CommentSection({ centre, level = null, subject = null })
   const [hasMore, setHasMore] = useState(false);
   const [offset, setOffset] = useState(0);
 
-  // Viewing filter: 'all' or '{level}__{subject}'
+  // Viewing filter: 'all' or '{level}__{subject}[__{stream}]'
   const [viewFilter, setViewFilter] = useState('all');
+  // Whose reviews: 'branch' (this centre) or 'brand' (every branch)
+  const [scope, setScope] = useState('branch');
 
   // Writing flow: selected class for new review
   const [writeClass, setWriteClass] = useState('');
@@ -78,6 +72,15 @@ export default function CommentSection({ centre, level = null, subject = null })
 
   const centreId = generateCentreId(centre);
 
+  const hasBranches = branches.length > 1;
+  const brandCentreIds = useMemo(() => branches.map(generateCentreId), [branches]);
+  // Branch names by centre id, to label brand-wide reviews
+  const branchLabels = useMemo(
+    () => new Map(branches.map(branch => [generateCentreId(branch), getBranchLabel(branch)])),
+    [branches]
+  );
+  const showBrandReviews = hasBranches && scope === 'brand';
+
   // Build sorted, deduplicated offerings list
   const offerings = useMemo(() => {
     if (!centre.offerings || centre.offerings.length === 0) return [];
@@ -87,46 +90,45 @@ export default function CommentSection({ centre, level = null, subject = null })
 
     centre.offerings.forEach(offering => {
       if (!offering.level || !offering.subject) return;
-      const key = filterKey(offering.level, offering.subject);
-      if (!seen.has(key)) {
-        seen.add(key);
-        items.push({
-          key,
-          label: `${offering.level} ${offering.subject}`,
-          level: offering.level,
-          subject: offering.subject,
-        });
-      }
+
+      // One class per stream the offering lists (e.g. "S3 Mathematics (G3)")
+      const streams = offering.streams && offering.streams.length > 0 ? offering.streams : [null];
+      streams.forEach(offeringStream => {
+        const key = filterKey(offering.level, offering.subject, offeringStream);
+        if (!seen.has(key)) {
+          seen.add(key);
+          const streamSuffix = offeringStream ? ` (${getStreamLabel(offeringStream)})` : '';
+          items.push({
+            key,
+            label: `${offering.level} ${offering.subject}${streamSuffix}`,
+            level: offering.level,
+            subject: offering.subject,
+            stream: offeringStream,
+          });
+        }
+      });
     });
 
-    // Filter based on props: if level && subject exist, only show that specific combination
+    // Filter based on props: if level && subject exist, only show matching classes
+    // (an umbrella subject such as Science also matches its children)
     let filteredItems = items;
     if (level && subject) {
-      const targetKey = filterKey(level, subject);
-      filteredItems = items.filter(item => item.key === targetKey);
+      filteredItems = items.filter(item =>
+        item.level === level &&
+        subjectMatches(subject, item.subject) &&
+        streamMatches(stream, item.stream ? [item.stream] : [])
+      );
     }
 
-    // Sort: LEVEL_ORDER first, then SUBJECT_ORDER, unknowns to end
-    filteredItems.sort((a, b) => {
-      const la = LEVEL_ORDER.indexOf(a.level);
-      const lb = LEVEL_ORDER.indexOf(b.level);
-      const laIdx = la === -1 ? 9999 : la;
-      const lbIdx = lb === -1 ? 9999 : lb;
-      if (laIdx !== lbIdx) return laIdx - lbIdx;
-
-      const sa = SUBJECT_ORDER.indexOf(a.subject);
-      const sb = SUBJECT_ORDER.indexOf(b.subject);
-      const saIdx = sa === -1 ? 9999 : sa;
-      const sbIdx = sb === -1 ? 9999 : sb;
-      if (saIdx !== sbIdx) return saIdx - sbIdx;
-
-      const levelCmp = a.level.localeCompare(b.level);
-      if (levelCmp !== 0) return levelCmp;
-      return a.subject.localeCompare(b.subject);
-    });
+    // Sort: taxonomy level order first, then subject order, then stream, unknowns to end
+    filteredItems.sort((a, b) =>
+      compareLevels(a.level, b.level) ||
+      compareSubjects(a.subject, b.subject) ||
+      compareStreams(a.stream, b.stream)
+    );
 
     return filteredItems;
-  }, [centre.offerings, level, subject]);
+  }, [centre.offerings, level, subject, stream]);
 
   // Group offerings by level for dropdown display
   const groupedOfferings = useMemo(() => {
@@ -136,7 +138,7 @@ export default function CommentSection({ centre, level = null, subject = null })
     offerings.forEach(item => {
       if (item.level !== currentLevel) {
         currentLevel = item.level;
-        groups.push({ type: 'header', level: item.level, label: LEVEL_GROUP_NAMES[item.level] || item.level });
+        groups.push({ type: 'header', level: item.level, label: getLevelLabel(item.level) });
       }
       groups.push({ type: 'item', ...item });
     });
@@ -150,13 +152,14 @@ export default function CommentSection({ centre, level = null, subject = null })
   // Initialize view filter based on props
   useEffect(() => {
     if (level && subject) {
-      const key = filterKey(level, subject);
-      const exists = offerings.some(o => o.key === key);
-      setViewFilter(exists ? key : 'all');
+      // Prefer the exact stream class, then the class without a stream
+      const candidates = [filterKey(level, subject, stream), filterKey(level, subject)];
+      const key = candidates.find(candidate => offerings.some(o => o.key === candidate));
+      setViewFilter(key || 'all');
     } else {
       setViewFilter('all');
     }
-  }, [level, subject, offerings]);
+  }, [level, subject, stream, offerings]);
 
   // Load username from sessionStorage
   useEffect(() => {
@@ -168,27 +171,35 @@ export default function CommentSection({ centre, level = null, subject = null })
   const activeFilter = useMemo(() => {
     if (viewFilter === 'all') return null;
     const match = offerings.find(o => o.key === viewFilter);
-    return match ? { level: match.level, subject: match.subject } : null;
+    return match ? { level: match.level, subject: match.subject, stream: match.stream } : null;
   }, [viewFilter, offerings]);
 
-  // Load comments when centreId or activeFilter changes
+  // Load comments when centreId, activeFilter or the scope changes
   useEffect(() => {
     loadComments();
-  }, [centreId, viewFilter]);
+  }, [centreId, viewFilter, showBrandReviews]);
 
   // Track user scroll during loading
   const handleScroll = useCallback(() => {
     if (loading) userScrolledDuringLoad.current = true;
   }, [loading]);
 
+  // One page of this branch's reviews, or of the whole brand's
+  const fetchPage = (pageOffset) => {
+    const activeLevel = activeFilter ? activeFilter.level : null;
+    const activeSubject = activeFilter ? activeFilter.subject : null;
+    const activeStream = activeFilter ? activeFilter.stream : null;
+
+    return showBrandReviews
+      ? fetchBrandComments(brandCentreIds, 20, pageOffset, activeLevel, activeSubject, activeStream)
+      : fetchComments(centreId, 20, pageOffset, activeLevel, activeSubject, activeStream);
+  };
+
   const loadComments = async () => {
     setLoading(true);
     setError('');
 
-    const activeLevel = activeFilter ? activeFilter.level : null;
-    const activeSubject = activeFilter ? activeFilter.subject : null;
-
-    const { data, error: fetchError } = await fetchComments(centreId, 20, 0, activeLevel, activeSubject);
+    const { data, error: fetchError } = await fetchPage(0);
 
     if (fetchError) {
       setError(fetchError);
@@ -209,10 +220,7 @@ export default function CommentSection({ centre, level = null, subject = null })
   const loadMoreComments = async () => {
     setLoadingMore(true);
 
-    const activeLevel = activeFilter ? activeFilter.level : null;
-    const activeSubject = activeFilter ? activeFilter.subject : null;
-
-    const { data, error: fetchError } = await fetchComments(centreId, 20, offset, activeLevel, activeSubject);
+    const { data, error: fetchError } = await fetchPage(offset);
 
     if (fetchError) {
       setError(fetchError);
@@ -225,10 +233,8 @@ export default function CommentSection({ centre, level = null, subject = null })
     setLoadingMore(false);
   };
 
-  const handleViewFilterChange = (event) => {
-    const newValue = event.target.value;
-    if (newValue === viewFilter) return;
-
+  // Fade the reviews out, apply the new view, fade back in
+  const switchView = (applyView) => {
     // Save scroll position
     if (scrollContainerRef.current) {
       savedScrollTop.current = scrollContainerRef.current.scrollTop;
@@ -240,11 +246,22 @@ export default function CommentSection({ centre, level = null, subject = null })
     if (fadeTimeoutRef.current) clearTimeout(fadeTimeoutRef.current);
 
     fadeTimeoutRef.current = setTimeout(() => {
-      setViewFilter(newValue);
+      applyView();
       setContentOpacity(1);
     }, 150);
   };
 
+  const handleViewFilterChange = (event) => {
+    const newValue = event.target.value;
+    if (newValue === viewFilter) return;
+    switchView(() => setViewFilter(newValue));
+  };
+
+  const handleScopeChange = (newScope) => {
+    if (newScope === scope) return;
+    switchView(() => setScope(newScope));
+  };
+
   // Writing flow: parse writeClass key to level+subject
   const writeClassParsed = useMemo(() => {
     if (!writeClass) return null;
@@ -269,7 +286,8 @@ export default function CommentSection({ centre, level = null, subject = null })
       text,
       null,
       classInfo.level,
-      classInfo.subject
+      classInfo.subject,
+      classInfo.stream
     );
 
     if (createError) {
@@ -353,6 +371,26 @@ export default function CommentSection({ centre, level = null, subject = null })
           Parent Reviews
         </Typography>
 
+        {/* Branch or brand-wide reviews, for chains */}
+        {hasBranches && (
+          <Box sx={{ display: 'flex', gap: 1, mb: 1.5, flexWrap: 'wrap' }}>
+            <Chip
+              label="This branch"
+              onClick={() => handleScopeChange('branch')}
+              color={scope === 'branch' ? 'primary' : 'default'}
+              variant={scope === 'branch' ? 'filled' : 'outlined'}
+              sx={{ fontWeight: 500 }}
+            />
+            <Chip
+              label={`All ${centre.brand} branches (${branches.length})`}
+              onClick={() => handleScopeChange('brand')}
+              color={scope === 'brand' ? 'primary' : 'default'}
+              variant={scope === 'brand' ? 'filled' : 'outlined'}
+              sx={{ fontWeight: 500 }}
+            />
+          </Box>
+        )}
+
         {/* Single grouped selector */}
         <FormControl size="small" fullWidth sx={{ mb: 1.5 }}>
           <Select
@@ -471,13 +509,25 @@ export default function CommentSection({ centre, level = null, subject = null })
               ) : (
                 <>
                   {comments.map((comment) => (
-                    <CommentItem
-                      key={comment.comment_id}
-                      comment={comment}
-                      centreId={centreId}
-                      username={username}
-                      onUsernameRequired={handleUsernameRequired}
-                    />
+                    <Box key={comment.comment_id}>
+                      {showBrandReviews && (
+                        <Typography
+                          variant="caption"
+                          sx={{ display: 'block', color: 'text.secondary', fontWeight: 600 }}
+                        >
+                          {comment.centre_id === centreId
+                            ? 'This branch'
+                            : `${branchLabels.get(comment.centre_id) || centre.brand} branch`}
+                        </Typography>
+                      )}
+                      {/* Replies are stored against the branch the review is about */}
+                      <CommentItem
+                        comment={comment}
+                        centreId={comment.centre_id || centreId}
+                        username={username}
+                        onUsernameRequired={handleUsernameRequired}
+                      />
+                    </Box>
                   ))}
 
                   {hasMore && (
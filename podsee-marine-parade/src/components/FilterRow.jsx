@@ -0,0 +1,33 @@
+import { Box, Chip, Typography } from '@mui/material'
+
+const chipSx = (selected) => ({
+  bgcolor: selected ? '#2c4a3a' : '#ffffff',
+  color: selected ? '#ffffff' : '#3d3d3d',
+  fontWeight: 500,
+  border: '1px solid',
+  borderColor: selected ? '#2c4a3a' : '#d4c4b0',
+  '&:hover': { bgcolor: selected ? '#1f3a0f' : '#f5f1e8' },
+})
+
+/**
+ * Small toggle chip for the results page filters
+ */
+export function FilterChip({ selected, ...props }) {
+  return <Chip size="small" {...props} sx={chipSx(selected)} />
+}
+
+/**
+ * Labelled row of filter chips (or inputs)
+ */
+function FilterRow({ label, children }) {
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, flexWrap: 'wrap', mb: 0.75 }}>
+      <Typography variant="caption" sx={{ color: '#888888', fontSize: '11px', fontWeight: 600, minWidth: 64 }}>
+        {label}
+      </Typography>
+      {children}
+    </Box>
+  )
+}
+
+export default FilterRow
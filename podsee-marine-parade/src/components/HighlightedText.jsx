@@ -0,0 +1,31 @@
+import { Box } from '@mui/material'
+
+/**
+ * Render text with [start, end) ranges highlighted
+ */
+function HighlightedText({ text, ranges = [] }) {
+  if (!text || ranges.length === 0) return text || null
+
+  const parts = []
+  let position = 0
+
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push(text.slice(position, start))
+    parts.push(
+      <Box
+        key={start}
+        component="mark"
+        sx={{ bgcolor: '#fff3c4', color: 'inherit', borderRadius: '2px', px: '1px' }}
+      >
+        {text.slice(start, end)}
+      </Box>
+    )
+    position = end
+  })
+
+  if (position < text.length) parts.push(text.slice(position))
+
+  return <>{parts}</>
+}
+
+export default HighlightedText
@@ -0,0 +1,36 @@
+import { Box, CircularProgress, Typography } from '@mui/material'
+
+const STAGE_LABELS = {
+  checking: 'Checking for updates...',
+  downloading: 'Downloading centres...',
+  indexing: 'Preparing results...',
+}
+
+/**
+ * Spinner for the centre data loading screens. `progress` is the store's
+ * { stage, loaded, total } event (see centresStore.js): the spinner fills up
+ * while the download size is known, and the stage is shown underneath.
+ */
+function LoadingProgress({ progress }) {
+  const percent = progress && progress.stage === 'downloading' && progress.total
+    ? Math.min(100, Math.round((progress.loaded / progress.total) * 100))
+    : null
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 1 }}>
+      {percent !== null ? (
+        <CircularProgress variant="determinate" value={percent} />
+      ) : (
+        <CircularProgress />
+      )}
+      {progress && (
+        <Typography variant="caption" sx={{ color: '#888888', fontSize: '12px' }}>
+          {STAGE_LABELS[progress.stage]}
+          {percent !== null && ` ${percent}%`}
+        </Typography>
+      )}
+    </Box>
+  )
+}
+
+export default LoadingProgress
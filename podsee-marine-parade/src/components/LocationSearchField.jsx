@@ -0,0 +1,117 @@
+import { useEffect, useState } from 'react'
+import { Autocomplete, Box, TextField, Typography } from '@mui/material'
+import { getLocationProvider } from '../utils/locationProviders'
+import { isPostalCode, isPostalCodeQuery, loadPostalLookup } from '../utils/postalLookup'
+
+// Wait for a pause in typing before asking the provider for suggestions
+const SUGGESTION_DELAY_MS = 250
+
+// Bundled blocks and streets first (see postalLookup.js). Partial postal codes
+// are answered from the bundled table only; a whole code it doesn't know, and
+// anything else, also by the provider
+async function getSuggestions(query) {
+  const local = await loadPostalLookup()
+    .then(lookup => lookup.suggest(query))
+    .catch(err => {
+      console.error('Failed to load postal codes:', err)
+      return []
+    })
+  if (isPostalCodeQuery(query) && (!isPostalCode(query) || local.length > 0)) return local
+
+  const remote = await getLocationProvider().autocomplete(query)
+  return [...local, ...remote]
+}
+
+/**
+ * Location input with suggestions from the bundled postal code table and the
+ * configured location provider (see utils/locationProviders). Picking a
+ * suggestion resolves it to { lat, lng, address } for `onPlaceSelected`;
+ * pressing Enter on typed text calls `onSubmit` instead.
+ */
+function LocationSearchField({ value, onInputChange, onPlaceSelected, onSubmit, onError }) {
+  const [suggestions, setSuggestions] = useState([])
+
+  useEffect(() => {
+    const query = value.trim()
+    if (!query) return
+
+    let cancelled = false
+    const timeout = setTimeout(() => {
+      getSuggestions(query)
+        .then(results => {
+          if (!cancelled) setSuggestions(results)
+        })
+        .catch(err => console.error('Failed to load location suggestions:', err))
+    }, SUGGESTION_DELAY_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timeout)
+    }
+  }, [value])
+
+  const handleChange = (event, option) => {
+    if (!option) return
+    if (typeof option === 'string') {
+      onSubmit()
+      return
+    }
+
+    // Bundled and some provider suggestions already carry their place
+    const resolving = option.place ? Promise.resolve(option.place) : getLocationProvider().resolveSuggestion(option)
+    resolving
+      .then(place => {
+        if (place) onPlaceSelected(place)
+        else onError('Location not found. Please try again.')
+      })
+      .catch(err => {
+        console.error('Failed to resolve location:', err)
+        onError('Failed to search location')
+      })
+  }
+
+  return (
+    <Autocomplete
+      freeSolo
+      options={value.trim() ? suggestions : []}
+      // The provider has already matched the suggestions
+      filterOptions={options => options}
+      getOptionLabel={option => (typeof option === 'string' ? option : option.label)}
+      getOptionKey={option => (typeof option === 'string' ? option : option.id)}
+      inputValue={value}
+      onInputChange={(event, newValue, reason) => {
+        // Selecting a suggestion fills in its label; the place handler sets the input
+        if (reason !== 'reset') onInputChange(newValue)
+      }}
+      onChange={handleChange}
+      renderOption={({ key, ...optionProps }, option) => (
+        <Box component="li" key={key} {...optionProps}>
+          <Box>
+            <Typography sx={{ fontSize: '13px' }}>{option.label}</Typography>
+            {option.secondary && (
+              <Typography variant="caption" sx={{ color: '#888888', fontSize: '11px' }}>
+                {option.secondary}
+              </Typography>
+            )}
+          </Box>
+        </Box>
+      )}
+      sx={{ flex: 1 }}
+      renderInput={(params) => (
+        <TextField
+          {...params}
+          placeholder="Enter your address or postal code"
+          size="small"
+          sx={{
+            '& .MuiOutlinedInput-root': {
+              fontSize: '13px',
+              bgcolor: '#ffffff',
+            }
+          }}
+        />
+      )}
+    />
+  )
+}
+
+export default LocationSearchField
@@ -10,11 +10,20 @@ import {
 } from '@mui/material'
 import { ExpandMore, MenuBook } from '@mui/icons-material'
 
-function MaterialChipSelector({ label, options, value, onChange, disabled = false, helperText = '' }) {
+function MaterialChipSelector({ label, options, value, onChange, disabled = false, helperText = '', getOptionLabel = (option) => option, multiple = false }) {
   const [isOpen, setIsOpen] = useState(false)
 
+  // In multiple mode `value` is an array and chips toggle without closing the panel
+  const hasValue = multiple ? value.length > 0 : !!value
+  const isSelected = (option) => multiple ? value.includes(option) : value === option
+  const displayValue = multiple ? value.map(getOptionLabel).join(', ') : getOptionLabel(value)
+
   const handleSelect = (option) => {
     if (disabled) return;
+    if (multiple) {
+      onChange(isSelected(option) ? value.filter(v => v !== option) : [...value, option])
+      return
+    }
     onChange(option)
     setIsOpen(false)
   }
@@ -46,7 +55,7 @@ function MaterialChipSelector({ label, options, value, onChange, disabled = fals
             px: 2,
             py: 1.5,
             borderRadius: 2,
-            bgcolor: value ? '#d4c4b0' : 'background.paper',
+            bgcolor: hasValue ? '#d4c4b0' : 'background.paper',
             border: 'none',
             transition: 'all 0.3s cubic-bezier(0.4, 0, 0.2, 1)',
             opacity: disabled ? 0.5 : 1,
@@ -54,7 +63,7 @@ function MaterialChipSelector({ label, options, value, onChange, disabled = fals
             ...(!disabled && {
               '&:hover': {
                 elevation: 4,
-                bgcolor: value ? '#e0d4c4' : '#f3f0e8',
+                bgcolor: hasValue ? '#e0d4c4' : '#f3f0e8',
                 transform: 'translateY(-1px)',
               },
               '&:active': {
@@ -65,21 +74,21 @@ function MaterialChipSelector({ label, options, value, onChange, disabled = fals
           }}
         >
           <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
-            <MenuBook sx={{ color: value ? '#3d3d3d' : '#666666', fontSize: 20 }} />
+            <MenuBook sx={{ color: hasValue ? '#3d3d3d' : '#666666', fontSize: 20 }} />
             <Typography
               variant="body1"
               sx={{
-                color: value ? '#3d3d3d' : '#666666',
-                fontWeight: value ? 600 : 500,
+                color: hasValue ? '#3d3d3d' : '#666666',
+                fontWeight: hasValue ? 600 : 500,
                 fontSize: '14px',
               }}
             >
-              {value || label}
+              {hasValue ? displayValue : label}
             </Typography>
           </Box>
           <ExpandMore
             sx={{
-              color: value ? '#3d3d3d' : '#666666',
+              color: hasValue ? '#3d3d3d' : '#666666',
               fontSize: 20,
               transition: 'transform 0.3s cubic-bezier(0.4, 0, 0.2, 1)',
               transform: isOpen ? 'rotate(180deg)' : 'rotate(0deg)',
@@ -112,10 +121,10 @@ function MaterialChipSelector({ label, options, value, onChange, disabled = fals
             {options.map((option) => (
               <Chip
                 key={option}
-                label={option}
+                label={getOptionLabel(option)}
                 onClick={() => handleSelect(option)}
                 color="primary"
-                variant={value === option ? 'filled' : 'outlined'}
+                variant={isSelected(option) ? 'filled' : 'outlined'}
                 sx={{
                   fontSize: '11px',
                   fontWeight: 500,
@@ -124,7 +133,7 @@ function MaterialChipSelector({ label, options, value, onChange, disabled = fals
                   px: 0.4,
                   transition: 'all 0.2s cubic-bezier(0.4, 0, 0.2, 1)',
                   cursor: 'pointer',
-                  ...(value === option ? {
+                  ...(isSelected(option) ? {
                     bgcolor: '#c0b0a0',
                     color: '#3d3d3d',
                     fontWeight: 600,
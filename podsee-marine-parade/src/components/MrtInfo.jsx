@@ -0,0 +1,40 @@
+import { Box, Typography } from '@mui/material'
+import DirectionsSubwayIcon from '@mui/icons-material/DirectionsSubway'
+import { MRT_LINES } from '../utils/mrtStations'
+
+/**
+ * Nearest MRT station of a centre (`station` is centre.nearestMrt) with its
+ * line codes in line colours and the estimated walk
+ */
+function MrtInfo({ station, fontSize = '12px', sx }) {
+  if (!station) return null
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, flexWrap: 'wrap', ...sx }}>
+      <DirectionsSubwayIcon sx={{ fontSize: '14px', color: '#888888' }} />
+      {station.codes.map(code => (
+        <Box
+          key={code}
+          component="span"
+          sx={{
+            bgcolor: (MRT_LINES[code.slice(0, 2)] || {}).color || '#888888',
+            color: '#ffffff',
+            fontSize: '10px',
+            fontWeight: 600,
+            lineHeight: 1,
+            px: 0.5,
+            py: 0.25,
+            borderRadius: 0.5,
+          }}
+        >
+          {code}
+        </Box>
+      ))}
+      <Typography component="span" sx={{ color: '#666666', fontSize }}>
+        {station.name} · {station.walkMinutes} min walk
+      </Typography>
+    </Box>
+  )
+}
+
+export default MrtInfo
@@ -0,0 +1,146 @@
+import { useState } from 'react'
+import { Box, InputAdornment, TextField } from '@mui/material'
+import FilterRow, { FilterChip } from './FilterRow'
+import { DAY_LABELS, DAYS, TIME_WINDOWS } from '../utils/offeringDetails'
+
+const CLASS_SIZE_CHOICES = [4, 8, 12]
+
+const WEEKDAYS = DAYS.slice(0, 5)
+
+/**
+ * Budget, class size and lesson slot (day + time of day) filters for
+ * level+subject results, plus the choice to sort by hourly fee.
+ * `options` ({ days, times, hasClassSizes, hasFees, hasHourlyFees }) limits the
+ * choices to what the matching offerings list; `value` is
+ * { maxMonthlyFee, maxClassSize, days, times }; `sort` is 'relevance' or 'price'.
+ * Days and times combine on the same slot ("weekday" + "after 5pm").
+ */
+function OfferingDetailFilters({ options, value, onChange, sort, onSortChange }) {
+  // The budget is applied on Enter / blur rather than on every keystroke
+  const [budget, setBudget] = useState(value.maxMonthlyFee ? String(value.maxMonthlyFee) : '')
+
+  const showBudget = options.hasFees || value.maxMonthlyFee !== null
+  const showClassSize = options.hasClassSizes || value.maxClassSize !== null
+  const showSort = options.hasHourlyFees || sort === 'price'
+  const dayChoices = DAYS.filter(day => options.days.includes(day) || value.days.includes(day))
+  const timeChoices = TIME_WINDOWS.filter(window => options.times.includes(window.id) || value.times.includes(window.id))
+  const weekdayChoices = dayChoices.filter(day => WEEKDAYS.includes(day))
+  const allWeekdays = weekdayChoices.length > 1 && weekdayChoices.every(day => value.days.includes(day))
+
+  if (!showBudget && !showClassSize && !showSort && dayChoices.length === 0 && timeChoices.length === 0) {
+    return null
+  }
+
+  const applyBudget = () => {
+    const amount = Number(budget)
+    const maxMonthlyFee = amount > 0 ? amount : null
+    if (maxMonthlyFee !== value.maxMonthlyFee) onChange({ ...value, maxMonthlyFee })
+  }
+
+  const toggleDay = (day) => {
+    const days = value.days.includes(day) ? value.days.filter(d => d !== day) : [...value.days, day]
+    onChange({ ...value, days })
+  }
+
+  // Selects every weekday at once, or clears them
+  const toggleWeekdays = () => {
+    const otherDays = value.days.filter(day => !WEEKDAYS.includes(day))
+    onChange({ ...value, days: allWeekdays ? otherDays : [...otherDays, ...weekdayChoices] })
+  }
+
+  const toggleTime = (time) => {
+    const times = value.times.includes(time) ? value.times.filter(t => t !== time) : [...value.times, time]
+    onChange({ ...value, times })
+  }
+
+  return (
+    <Box sx={{ mb: 1 }}>
+      {showBudget && (
+        <FilterRow label="Budget">
+          <TextField
+            placeholder="Max per month"
+            value={budget}
+            onChange={(e) => setBudget(e.target.value.replace(/[^\d]/g, ''))}
+            onBlur={applyBudget}
+            onKeyDown={(e) => e.key === 'Enter' && applyBudget()}
+            size="small"
+            slotProps={{
+              input: { startAdornment: <InputAdornment position="start">$</InputAdornment> },
+              htmlInput: { inputMode: 'numeric' },
+            }}
+            sx={{
+              width: 150,
+              '& .MuiOutlinedInput-root': {
+                fontSize: '12px',
+                bgcolor: '#ffffff',
+              },
+              '& .MuiOutlinedInput-input': { py: 0.5 },
+            }}
+          />
+        </FilterRow>
+      )}
+      {showClassSize && (
+        <FilterRow label="Class size">
+          {CLASS_SIZE_CHOICES.map(size => {
+            const selected = value.maxClassSize === size
+            return (
+              <FilterChip
+                key={size}
+                label={`Up to ${size}`}
+                onClick={() => onChange({ ...value, maxClassSize: selected ? null : size })}
+                selected={selected}
+              />
+            )
+          })}
+        </FilterRow>
+      )}
+      {dayChoices.length > 0 && (
+        <FilterRow label="Lesson day">
+          {weekdayChoices.length > 1 && (
+            <FilterChip
+              label="Weekdays"
+              onClick={toggleWeekdays}
+              selected={allWeekdays}
+            />
+          )}
+          {dayChoices.map(day => (
+            <FilterChip
+              key={day}
+              label={DAY_LABELS[day]}
+              onClick={() => toggleDay(day)}
+              selected={value.days.includes(day)}
+            />
+          ))}
+        </FilterRow>
+      )}
+      {timeChoices.length > 0 && (
+        <FilterRow label="Time">
+          {timeChoices.map(window => (
+            <FilterChip
+              key={window.id}
+              label={window.label}
+              onClick={() => toggleTime(window.id)}
+              selected={value.times.includes(window.id)}
+            />
+          ))}
+        </FilterRow>
+      )}
+      {showSort && (
+        <FilterRow label="Sort by">
+          <FilterChip
+            label="Best match"
+            onClick={() => onSortChange('relevance')}
+            selected={sort !== 'price'}
+          />
+          <FilterChip
+            label="Lowest fee per hour"
+            onClick={() => onSortChange('price')}
+            selected={sort === 'price'}
+          />
+        </FilterRow>
+      )}
+    </Box>
+  )
+}
+
+export default OfferingDetailFilters
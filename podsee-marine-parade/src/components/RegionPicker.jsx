@@ -0,0 +1,38 @@
+import { Box, Chip } from '@mui/material'
+import PlaceIcon from '@mui/icons-material/Place'
+import { ALL_REGIONS_ID, getRegion, REGIONS } from '../utils/regions'
+
+/**
+ * Row of area chips (every region plus "All areas")
+ */
+function RegionPicker({ value, onChange }) {
+  const options = [...REGIONS, getRegion(ALL_REGIONS_ID)]
+
+  return (
+    <Box sx={{ display: 'flex', gap: 0.75, flexWrap: 'wrap', justifyContent: 'center' }}>
+      {options.map(region => {
+        const selected = region.id === value
+        return (
+          <Chip
+            key={region.id}
+            icon={region.id === ALL_REGIONS_ID ? undefined : <PlaceIcon />}
+            label={region.name}
+            size="small"
+            onClick={() => !selected && onChange(region.id)}
+            sx={{
+              bgcolor: selected ? '#2c4a3a' : '#ffffff',
+              color: selected ? '#ffffff' : '#3d3d3d',
+              fontWeight: 500,
+              border: '1px solid',
+              borderColor: selected ? '#2c4a3a' : '#d4c4b0',
+              '& .MuiChip-icon': { color: 'inherit', fontSize: '14px' },
+              '&:hover': { bgcolor: selected ? '#1f3a0f' : '#f5f1e8' },
+            }}
+          />
+        )
+      })}
+    </Box>
+  )
+}
+
+export default RegionPicker
@@ -0,0 +1,165 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { Alert, Box, Chip, Typography } from '@mui/material'
+import { getMapProvider } from '../utils/mapProviders'
+import { MAX_ZOOM, clusterPoints, fitView } from '../utils/mapClusters'
+
+// Until the pins are framed (Marine Parade)
+const DEFAULT_VIEW = { center: { lat: 1.3030, lng: 103.9066 }, zoom: 13 }
+
+/**
+ * Results as clustered pins on a map (drawn by the configured map provider,
+ * see utils/mapProviders), with the parent's location and school. Tapping a
+ * centre calls `onCentreClick`; tapping a cluster zooms in, or lists its
+ * centres once they can't be told apart. `locations` holds geocoded
+ * locations (by centre id) of centres without bundled coordinates.
+ */
+function ResultsMap({ centres, locations, home, school, onCentreClick }) {
+  const containerRef = useRef(null)
+  const onCentreClickRef = useRef(onCentreClick)
+  const [map, setMap] = useState(null)
+  const [zoom, setZoom] = useState(DEFAULT_VIEW.zoom)
+  const [error, setError] = useState('')
+  // Centres of a tapped cluster at the closest zoom
+  const [listedCentres, setListedCentres] = useState([])
+  // Pins (and parent's places) last framed, so panning and zooming survive
+  // re-renders that don't change what's on the map
+  const framedKeyRef = useRef(null)
+
+  useEffect(() => {
+    onCentreClickRef.current = onCentreClick
+  })
+
+  const pins = useMemo(() => centres.flatMap(centre => {
+    const location = centre.location || locations.get(centre.id)
+    return location ? [{ lat: location.lat, lng: location.lng, centre }] : []
+  }), [centres, locations])
+  const unmappedCount = centres.length - pins.length
+  // Still listed only while in the results
+  const shownListedCentres = listedCentres.filter(centre => centres.includes(centre))
+
+  useEffect(() => {
+    let cancelled = false
+    let created = null
+    getMapProvider()
+      .createMap(containerRef.current, { ...DEFAULT_VIEW, onViewChange: view => setZoom(view.zoom) })
+      .then(newMap => {
+        if (cancelled) {
+          newMap.destroy()
+          return
+        }
+        created = newMap
+        setMap(newMap)
+      })
+      .catch(err => {
+        console.error('Failed to load map:', err)
+        if (!cancelled) setError('The map could not be loaded. Switch back to the list to see results.')
+      })
+
+    return () => {
+      cancelled = true
+      if (created) created.destroy()
+    }
+  }, [])
+
+  // Frame every pin whenever the set of pins changes
+  useEffect(() => {
+    if (!map) return
+    const key = [
+      ...pins.map(pin => pin.centre.id).sort(),
+      home ? `home:${home.lat},${home.lng}` : '',
+      school ? `school:${school.id}` : '',
+    ].join('|')
+    if (key === framedKeyRef.current) return
+    framedKeyRef.current = key
+
+    const size = { width: containerRef.current.clientWidth, height: containerRef.current.clientHeight }
+    const view = fitView([...pins, ...[home, school].filter(Boolean)], size)
+    if (view) map.setView(view)
+  }, [map, pins, home, school])
+
+  const clusters = useMemo(() => clusterPoints(pins, zoom), [pins, zoom])
+
+  useEffect(() => {
+    if (!map) return
+
+    const handleClusterClick = (cluster) => {
+      const size = { width: containerRef.current.clientWidth, height: containerRef.current.clientHeight }
+      const view = fitView(cluster.points, size)
+      if (zoom < MAX_ZOOM && view.zoom > zoom) {
+        map.setView(view)
+      } else {
+        setListedCentres(cluster.points.map(point => point.centre))
+      }
+    }
+
+    map.setMarkers([
+      ...clusters.map(cluster => (cluster.points.length === 1
+        ? {
+          id: `centre-${cluster.points[0].centre.id}`,
+          kind: 'centre',
+          lat: cluster.lat,
+          lng: cluster.lng,
+          label: cluster.points[0].centre.name,
+          onClick: () => onCentreClickRef.current(cluster.points[0].centre),
+        }
+        : {
+          id: `cluster-${cluster.points[0].centre.id}`,
+          kind: 'cluster',
+          lat: cluster.lat,
+          lng: cluster.lng,
+          count: cluster.points.length,
+          label: `${cluster.points.length} centres`,
+          onClick: () => handleClusterClick(cluster),
+        })),
+      ...(home ? [{ id: 'home', kind: 'home', lat: home.lat, lng: home.lng, label: 'Your location' }] : []),
+      ...(school ? [{ id: 'school', kind: 'school', lat: school.lat, lng: school.lng, label: school.name }] : []),
+    ])
+  }, [map, clusters, zoom, home, school])
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="warning" sx={{ mb: 1, fontSize: '12px' }}>
+          {error}
+        </Alert>
+      )}
+      <Box
+        ref={containerRef}
+        sx={{
+          height: '60vh',
+          borderRadius: 1,
+          overflow: 'hidden',
+          boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+          bgcolor: '#eef3ea',
+        }}
+      />
+
+      {shownListedCentres.length > 0 && (
+        <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 1 }}>
+          <Typography variant="caption" sx={{ color: '#888888', fontSize: '11px', fontWeight: 600, width: '100%' }}>
+            {shownListedCentres.length} centres here
+          </Typography>
+          {shownListedCentres.map(centre => (
+            <Chip
+              key={centre.id}
+              label={centre.name}
+              size="small"
+              onClick={() => onCentreClick(centre)}
+              sx={{ bgcolor: '#ffffff', border: '1px solid #d4c4b0', fontSize: '12px' }}
+            />
+          ))}
+        </Box>
+      )}
+
+      {(home || school || unmappedCount > 0) && (
+        <Typography variant="caption" sx={{ display: 'block', color: '#888888', fontSize: '11px', mt: 1 }}>
+          {home && 'Blue: your location. '}
+          {school && 'Orange: school. '}
+          {unmappedCount > 0 && `${unmappedCount} centre${unmappedCount !== 1 ? 's' : ''} without a location aren't shown.`}
+        </Typography>
+      )}
+    </Box>
+  )
+}
+
+export default ResultsMap
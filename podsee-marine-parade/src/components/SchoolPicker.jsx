@@ -0,0 +1,34 @@
+import { Autocomplete, TextField } from '@mui/material'
+import { SCHOOLS, SCHOOL_LEVELS } from '../utils/schools'
+
+/**
+ * Picks the child's school from the bundled list (see utils/schools.js);
+ * `onChange` gets the school or null when cleared
+ */
+function SchoolPicker({ value, onChange }) {
+  return (
+    <Autocomplete
+      options={SCHOOLS}
+      groupBy={school => SCHOOL_LEVELS[school.level]}
+      getOptionLabel={school => school.name}
+      isOptionEqualToValue={(option, selected) => option.id === selected.id}
+      value={value}
+      onChange={(event, school) => onChange(school)}
+      size="small"
+      renderInput={(params) => (
+        <TextField
+          {...params}
+          placeholder="Your child's school (optional)"
+          sx={{
+            '& .MuiOutlinedInput-root': {
+              fontSize: '13px',
+              bgcolor: '#ffffff',
+            }
+          }}
+        />
+      )}
+    />
+  )
+}
+
+export default SchoolPicker
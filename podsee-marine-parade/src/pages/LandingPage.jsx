@@ -1,67 +1,91 @@
-import { useState, useEffect } from 'react'
+import { useState, useMemo } from 'react'
 import { useNavigate } from 'react-router-dom'
 import {
   Container,
   Box,
   Typography,
   Button,
-  CircularProgress,
   TextField,
   Autocomplete,
   Divider,
+  ToggleButton,
+  ToggleButtonGroup,
 } from '@mui/material'
 import MaterialChipSelector from '../components/MaterialChipSelector'
-import { loadCentresData, getFilterOptions, getSubjectsForLevel } from '../utils/dataLoader'
+import HighlightedText from '../components/HighlightedText'
+import RegionPicker from '../components/RegionPicker'
+import LoadingProgress from '../components/LoadingProgress'
+import { getFilterOptions, getSubjectsForLevel, getStreamsOfferedAtLevel } from '../utils/dataLoader'
+import { useCentres } from '../utils/centresStore'
+import { getStreamLabel } from '../utils/taxonomy'
+import { createCentreSearchIndex, getHighlightRanges } from '../utils/centreSearch'
+import { ALL_REGIONS_ID, getRegionName, regionPath } from '../utils/regions'
 
-function LandingPage() {
-  const [level, setLevel] = useState('')
-  const [subject, setSubject] = useState('')
+function LandingPage({ region }) {
+  const [levels, setLevels] = useState([])
+  const [subjects, setSubjects] = useState([])
+  const [stream, setStream] = useState('')
+  const [match, setMatch] = useState('all')
   const [centreName, setCentreName] = useState('')
   const [error, setError] = useState('')
-  const [loading, setLoading] = useState(true)
-  const [filterOptions, setFilterOptions] = useState({ levels: [], subjects: [] })
-  const [centres, setCentres] = useState([])
-  const [validSubjects, setValidSubjects] = useState([])
   const navigate = useNavigate()
 
-  useEffect(() => {
-    loadCentresData()
-      .then(centresData => {
-        setCentres(centresData);
-        const options = getFilterOptions(centresData);
-        setFilterOptions(options);
-        setLoading(false);
-      })
-      .catch(err => {
-        console.error('Failed to load data:', err);
-        setError('Failed to load data. Please refresh the page.');
-        setLoading(false);
-      });
-  }, [])
+  // Shared with the results page and cached across visits (see centresStore.js)
+  const { centres: loadedCentres, loading, progress, error: loadError } = useCentres(region)
+  const centres = useMemo(() => loadedCentres || [], [loadedCentres])
+  const filterOptions = useMemo(() => getFilterOptions(centres), [centres])
 
-  // Update valid subjects when level changes
-  useEffect(() => {
-    if (level) {
-      const subjects = getSubjectsForLevel(level, centres);
-      setValidSubjects(subjects);
-      
-      // Clear subject if it's not valid for the new level
-      if (subject && !subjects.includes(subject)) {
-        setSubject('');
-      }
-    } else {
-      setValidSubjects([]);
-      setSubject('');
+  // Same typo-tolerant index the results page uses for centre-name searches
+  const centreSearchIndex = useMemo(() => createCentreSearchIndex(centres), [centres])
+
+  // Streams offered at the selected levels (empty when centres don't distinguish them)
+  const validStreams = useMemo(() => getStreamsOfferedAtLevel(levels, centres), [levels, centres])
+
+  // Subjects offered at any of the selected levels
+  const validSubjects = useMemo(
+    () => getSubjectsForLevel(levels, centres, stream || null),
+    [levels, stream, centres]
+  )
+
+  const hasLevelSubject = levels.length > 0 && subjects.length > 0
+  // "All of" / "Any of" only matters once more than one level+subject combination is picked
+  const hasMultipleCombinations = levels.length * subjects.length > 1
+
+  // Drop selected subjects that are no longer offered for the new levels/stream
+  const pruneSubjects = (newLevels, newStream) => {
+    const available = getSubjectsForLevel(newLevels, centres, newStream || null)
+    setSubjects(prev => prev.filter(s => available.includes(s)))
+  }
+
+  const handleLevelsChange = (newLevels) => {
+    setLevels(newLevels)
+    // Clear stream if it's not offered at the new levels
+    const newStream = stream && getStreamsOfferedAtLevel(newLevels, centres).includes(stream) ? stream : ''
+    setStream(newStream)
+    pruneSubjects(newLevels, newStream)
+    // Clear centre name when a level is selected
+    if (newLevels.length > 0) {
+      setCentreName('')
     }
-  }, [level, centres])
+  }
+
+  const handleStreamChange = (newStream) => {
+    setStream(newStream)
+    pruneSubjects(levels, newStream)
+  }
 
   const handleSearchByLevelSubject = () => {
-    if (!level || !subject) {
+    if (!hasLevelSubject) {
       setError('Please select a level and subject.')
       return
     }
     setError('')
-    navigate(`/results?level=${level}&subject=${subject}`)
+    const params = new URLSearchParams()
+    levels.forEach(l => params.append('level', l))
+    subjects.forEach(s => params.append('subject', s))
+    if (stream) params.set('stream', stream)
+    if (hasMultipleCombinations) params.set('match', match)
+    navigate(`${regionPath(region, '/results')}?${params.toString()}`)
   }
 
   const handleSearchByCentre = () => {
@@ -70,14 +94,14 @@ function LandingPage() {
       return
     }
     setError('')
-    navigate(`/results?centre=${encodeURIComponent(centreName)}`)
+    navigate(`${regionPath(region, '/results')}?centre=${encodeURIComponent(centreName)}`)
   }
 
   const handleSearch = () => {
     // Determine which search method to use based on what's filled
     if (centreName) {
       handleSearchByCentre()
-    } else if (level && subject) {
+    } else if (hasLevelSubject) {
       handleSearchByLevelSubject()
     } else {
       setError('Please search by centre name OR select level and subject.')
@@ -138,7 +162,9 @@ function LandingPage() {
               lineHeight: 1.3,
             }}
           >
-            Every tuition centre in Marine Parade Here
+            {region === ALL_REGIONS_ID
+              ? 'Every tuition centre in every area Here'
+              : `Every tuition centre in ${getRegionName(region)} Here`}
           </Typography>
           <Typography 
             variant="subtitle1" 
@@ -149,13 +175,16 @@ function LandingPage() {
           >
             Filter and Search!
           </Typography>
+          <Box sx={{ mt: 1.5 }}>
+            <RegionPicker value={region} onChange={id => navigate(regionPath(id))} />
+          </Box>
         </Box>
 
         {/* Search Section */}
         <Box sx={{ mb: 2 }}>
           {loading ? (
             <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
-              <CircularProgress />
+              <LoadingProgress progress={progress} />
             </Box>
           ) : (
             <>
@@ -164,21 +193,33 @@ function LandingPage() {
                 <Autocomplete
                   freeSolo
                   options={centres.map(c => c.name)}
+                  filterOptions={(options, { inputValue }) =>
+                    inputValue.trim()
+                      ? centreSearchIndex.search(inputValue).map(({ centre }) => centre.name)
+                      : options
+                  }
+                  renderOption={({ key, ...optionProps }, option, { inputValue }) => (
+                    <li key={key} {...optionProps}>
+                      <HighlightedText text={option} ranges={getHighlightRanges(option, inputValue)} />
+                    </li>
+                  )}
                   value={centreName}
                   onChange={(event, newValue) => {
                     setCentreName(newValue || '')
                     // Clear level/subject when centre is selected
                     if (newValue) {
-                      setLevel('')
-                      setSubject('')
+                      setLevels([])
+                      setStream('')
+                      setSubjects([])
                     }
                   }}
                   onInputChange={(event, newValue) => {
                     setCentreName(newValue || '')
                     // Clear level/subject when typing centre name
                     if (newValue) {
-                      setLevel('')
-                      setSubject('')
+                      setLevels([])
+                      setStream('')
+                      setSubjects([])
                     }
                   }}
                   renderInput={(params) => (
@@ -209,36 +250,65 @@ function LandingPage() {
 
               {/* Level + Subject Filters */}
               <MaterialChipSelector
-                label="Select Level"
+                label="Select Level(s)"
                 options={filterOptions.levels}
-                value={level}
-                onChange={(newLevel) => {
-                  setLevel(newLevel)
-                  // Clear centre name when level is selected
-                  if (newLevel) {
-                    setCentreName('')
-                  }
-                }}
+                value={levels}
+                multiple
+                onChange={handleLevelsChange}
               />
 
+              {validStreams.length > 0 && (
+                <MaterialChipSelector
+                  label="Stream / Subject Level (optional)"
+                  options={['', ...validStreams]}
+                  value={stream}
+                  getOptionLabel={(option) => option ? getStreamLabel(option) : 'Any'}
+                  onChange={handleStreamChange}
+                />
+              )}
+
               <MaterialChipSelector
-                label="Select Subject"
+                label="Select Subject(s)"
                 options={validSubjects}
-                value={subject}
-                onChange={(newSubject) => {
-                  setSubject(newSubject)
-                  // Clear centre name when subject is selected
-                  if (newSubject) {
+                value={subjects}
+                multiple
+                onChange={(newSubjects) => {
+                  setSubjects(newSubjects)
+                  // Clear centre name when a subject is selected
+                  if (newSubjects.length > 0) {
                     setCentreName('')
                   }
                 }}
-                disabled={!level}
-                helperText={!level ? 'Select level first' : ''}
+                disabled={levels.length === 0}
+                helperText={levels.length === 0 ? 'Select level first' : ''}
               />
+
+              {hasMultipleCombinations && (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1.5 }}>
+                  <Typography sx={{ color: '#888888', fontSize: '12px' }}>
+                    Centres teaching
+                  </Typography>
+                  <ToggleButtonGroup
+                    value={match}
+                    exclusive
+                    size="small"
+                    onChange={(event, newMatch) => {
+                      if (newMatch) setMatch(newMatch)
+                    }}
+                  >
+                    <ToggleButton value="all" sx={{ textTransform: 'none', fontSize: '12px', py: 0.25 }}>
+                      All of these
+                    </ToggleButton>
+                    <ToggleButton value="any" sx={{ textTransform: 'none', fontSize: '12px', py: 0.25 }}>
+                      Any of these
+                    </ToggleButton>
+                  </ToggleButtonGroup>
+                </Box>
+              )}
             </>
           )}
 
-          {error && (
+          {(error || loadError) && (
             <Typography
               variant="body2"
               sx={{
@@ -248,7 +318,7 @@ function LandingPage() {
                 fontSize: '12px',
               }}
             >
-              {error}
+              {error || 'Failed to load data. Please refresh the page.'}
             </Typography>
           )}
         </Box>
@@ -266,12 +336,12 @@ function LandingPage() {
             fontWeight: 600,
             borderRadius: 50,
             textTransform: 'none',
-            bgcolor: (centreName || (level && subject)) ? '#2c4a3a' : 'rgba(0, 0, 0, 0.12)',
-            color: (centreName || (level && subject)) ? '#ffffff' : 'rgba(0, 0, 0, 0.26)',
+            bgcolor: (centreName || hasLevelSubject) ? '#2c4a3a' : 'rgba(0, 0, 0, 0.12)',
+            color: (centreName || hasLevelSubject) ? '#ffffff' : 'rgba(0, 0, 0, 0.26)',
             boxShadow: 'none',
             border: 'none',
             '&:hover': {
-              bgcolor: (centreName || (level && subject)) ? '#1f3a0f' : 'rgba(0, 0, 0, 0.15)',
+              bgcolor: (centreName || hasLevelSubject) ? '#1f3a0f' : 'rgba(0, 0, 0, 0.15)',
               boxShadow: 'none',
             },
             '&:active': {
@@ -282,6 +352,22 @@ function LandingPage() {
           Search
         </Button>
 
+        {/* Dataset changelog */}
+        <Box sx={{ textAlign: 'center', mt: -2, mb: 2 }}>
+          <Button
+            variant="text"
+            size="small"
+            onClick={() => navigate('/whats-new')}
+            sx={{
+              color: '#2c4a3a',
+              fontSize: '12px',
+              textTransform: 'none',
+            }}
+          >
+            What's new in the listings
+          </Button>
+        </Box>
+
         {/* CTA Section */}
         <Box sx={{ textAlign: 'center', mb: 3 }}>
           <Typography
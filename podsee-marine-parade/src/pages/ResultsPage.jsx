@@ -1,4 +1,4 @@
-import { useState, useEffect, useRef, useCallback } from 'react'
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
 import { useNavigate, useSearchParams } from 'react-router-dom'
 import {
   Container,
@@ -8,22 +8,55 @@ import {
   Card,
   CardContent,
   Chip,
-  CircularProgress,
   TextField,
   Alert,
+  LinearProgress,
+  ToggleButton,
+  ToggleButtonGroup,
 } from '@mui/material'
 import ArrowBackIcon from '@mui/icons-material/ArrowBack'
 import MyLocationIcon from '@mui/icons-material/MyLocation'
+import MapIcon from '@mui/icons-material/Map'
+import ViewListIcon from '@mui/icons-material/ViewList'
 import SearchIcon from '@mui/icons-material/Search'
-import { loadCentresData, filterCentres, getMatchingNote, getSubjectsForCentreAtLevel } from '../utils/dataLoader'
+import {
+  searchCentres,
+  getMatchingNote,
+  getMatchingOfferings,
+  getOfferingDetailOptions,
+  getSubjectsForCentreAtLevel
+} from '../utils/dataLoader'
+import { createCentreSearchIndex, mergeRanges } from '../utils/centreSearch'
+import { searchKeywords } from '../utils/keywordSearch'
+import BrandCard from '../components/BrandCard'
 import CentreModal from '../components/CentreModal'
+import HighlightedText from '../components/HighlightedText'
+import LoadingProgress from '../components/LoadingProgress'
+import LocationSearchField from '../components/LocationSearchField'
+import MrtInfo from '../components/MrtInfo'
+import SchoolPicker from '../components/SchoolPicker'
+import OfferingDetailFilters from '../components/OfferingDetailFilters'
+import ResultsMap from '../components/ResultsMap'
+import FilterRow, { FilterChip } from '../components/FilterRow'
+import { getStreamLabel } from '../utils/taxonomy'
 import {
-  getCurrentLocation,
-  initializeAutocomplete,
-  geocodeCentre,
-  calculateDistance,
-  loadGoogleMapsAPI
-} from '../utils/locationService'
+  DAYS,
+  TIME_WINDOWS,
+  formatOfferingDetails,
+  getLowestHourlyFee,
+  hasOfferingDetails,
+} from '../utils/offeringDetails'
+import { ALL_REGIONS_ID, getRegionName, regionPath } from '../utils/regions'
+import { getBrandBranches, groupCentresByBrand } from '../utils/brands'
+import { RADIUS_CHOICES_KM, groupByDistanceBand, parseRadius } from '../utils/distanceBands'
+import { getAnchorDistance, getAvailableAnchors, resolveDistanceAnchor } from '../utils/distanceAnchors'
+import { NEAR_MRT_WALK_MINUTES, getNearestStation, isNearMrt } from '../utils/mrtStations'
+import { getSchool } from '../utils/schools'
+import { useCentres } from '../utils/centresStore'
+import { getCurrentLocation } from '../utils/locationService'
+import { geocodeCentres } from '../utils/geocodeQueue'
+import { getLocationProvider } from '../utils/locationProviders'
+import { isPostalCode, loadPostalLookup } from '../utils/postalLookup'
 
 // Helper to clean up duplicate postal codes in Singapore addresses (display only)
 function formatSgAddress(address, postalCode) {
@@ -47,31 +80,70 @@ function formatSgAddress(address, postalCode) {
   return fullAddress;
 }
 
-function ResultsPage() {
+// Detail filter choices when there are none (centre-name mode, no data yet)
+const NO_DETAIL_OPTIONS = { days: [], times: [], hasFees: false, hasHourlyFees: false, hasClassSizes: false }
+
+function ResultsPage({ region }) {
   const navigate = useNavigate()
-  const [searchParams] = useSearchParams()
-  const level = searchParams.get('level')
-  const subject = searchParams.get('subject')
+  const [searchParams, setSearchParams] = useSearchParams()
+  // Level and subject may repeat for multi-select searches (?level=P5&subject=Mathematics&subject=Science)
+  const levels = useMemo(() => searchParams.getAll('level'), [searchParams])
+  const subjects = useMemo(() => searchParams.getAll('subject'), [searchParams])
+  const stream = searchParams.get('stream')
+  const match = searchParams.get('match') === 'any' ? 'any' : 'all'
   const centreName = searchParams.get('centre')
+  // Offering detail filters (?budget=300&size=8&day=sat&time=morning) and fee
+  // sorting (?sort=price), level+subject mode only
+  const maxMonthlyFee = Number(searchParams.get('budget')) || null
+  const maxClassSize = Number(searchParams.get('size')) || null
+  const days = useMemo(() => searchParams.getAll('day').filter(day => DAYS.includes(day)), [searchParams])
+  const times = useMemo(
+    () => searchParams.getAll('time').filter(time => TIME_WINDOWS.some(window => window.id === time)),
+    [searchParams]
+  )
+  const details = useMemo(
+    () => ({ maxMonthlyFee, maxClassSize, days, times }),
+    [maxMonthlyFee, maxClassSize, days, times]
+  )
+  const sortBy = searchParams.get('sort') === 'price' ? 'price' : 'relevance'
+  // "Within n km" filter, applied once a location is set
+  const radiusKm = parseRadius(searchParams.get('radius'))
+  const nearMrtOnly = searchParams.get('mrt') === 'near'
+  // Results as a card list or pins on a map
+  const isMapView = searchParams.get('view') === 'map'
+  // Child's school, to measure distances from school as well as home
+  const school = getSchool(searchParams.get('school'))
 
-  const [centres, setCentres] = useState([])
-  const [loading, setLoading] = useState(true)
+  // Shared with the landing page and cached across visits (see centresStore.js)
+  const { centres: allCentres, loading, progress, error: loadError } = useCentres(region)
+  // Keyword search over notes, subjects and addresses, within the current results
+  const [keyword, setKeyword] = useState(() => searchParams.get('q') || '')
   const [selectedCentre, setSelectedCentre] = useState(null)
   const [modalOpen, setModalOpen] = useState(false)
 
   // Determine search mode: centre-name or level+subject
   const isCentreNameMode = !!centreName
-  const isLevelSubjectMode = !!(level && subject)
+  const isLevelSubjectMode = levels.length > 0 && subjects.length > 0
+  const hasMultipleCombinations = levels.length * subjects.length > 1
+  // Reviews can only be pre-filtered to a single class
+  const reviewLevel = levels.length === 1 ? levels[0] : null
+  const reviewSubject = subjects.length === 1 ? subjects[0] : null
   
   // Location-related state
   const [parentLocation, setParentLocation] = useState(null)
-  const [centreDistances, setCentreDistances] = useState(new Map())
+  const [geocodedLocations, setGeocodedLocations] = useState(new Map())
   const [locationError, setLocationError] = useState('')
   const [locationInput, setLocationInput] = useState('')
-  const [isGeocodingCentres, setIsGeocodingCentres] = useState(false)
-  
-  const locationInputRef = useRef(null)
-  const autocompleteRef = useRef(null)
+  // { done, total } of the geocoding batch running, and centres it couldn't locate
+  const [geocodeProgress, setGeocodeProgress] = useState(null)
+  const [failedCentres, setFailedCentres] = useState([])
+  const geocodeControllerRef = useRef(null)
+  // What distances are measured from: home, school or the detour between them
+  // (`from` parameter; see distanceAnchors.js). Null until either is set.
+  const distanceOrigins = useMemo(() => ({ home: parentLocation, school }), [parentLocation, school])
+  const distanceAnchor = resolveDistanceAnchor(searchParams.get('from'), distanceOrigins)
+  const hasDistanceAnchor = distanceAnchor !== null
+
 
   // SessionStorage key for location persistence
   const LOCATION_STORAGE_KEY = 'podsee_parent_location'
@@ -99,56 +171,90 @@ function ResultsPage() {
     }
   }, [])
 
+  // Validate: must have either centre name OR (level AND subject)
   useEffect(() => {
-    // Validate: must have either centre name OR (level AND subject)
     if (!isCentreNameMode && !isLevelSubjectMode) {
-      navigate('/')
-      return
+      navigate(regionPath(region))
     }
+  }, [region, isCentreNameMode, isLevelSubjectMode, navigate])
 
-    loadCentresData()
-      .then(allCentres => {
-        let filtered = []
-
-        if (isCentreNameMode) {
-          // Centre-name mode: filter by centre name (case-insensitive partial match)
-          const searchTerm = centreName.toLowerCase()
-          filtered = allCentres.filter(centre =>
-            centre.name.toLowerCase().includes(searchTerm)
-          )
-        } else if (isLevelSubjectMode) {
-          // Level+subject mode: filter by level and subject
-          filtered = filterCentres(allCentres, level, subject)
-        }
+  // Search results, plus "did you mean" centre names when a centre-name search
+  // finds nothing and the detail filter choices for the searched classes
+  const { centres, suggestions, detailOptions } = useMemo(() => {
+    let filtered = []
+    let nearMisses = []
+    let options = NO_DETAIL_OPTIONS
 
-        setCentres(filtered)
-        setLoading(false)
-      })
-      .catch(err => {
-        console.error('Failed to load data:', err)
-        setLoading(false)
-      })
-  }, [level, subject, centreName, isCentreNameMode, isLevelSubjectMode, navigate])
+    if (!allCentres) {
+      return { centres: filtered, suggestions: nearMisses, detailOptions: options }
+    }
 
-  // Initialize Google Places Autocomplete
-  useEffect(() => {
-    if (locationInputRef.current && !autocompleteRef.current) {
-      initializeAutocomplete(locationInputRef.current, handlePlaceSelected)
-        .then(autocomplete => {
-          autocompleteRef.current = autocomplete
-        })
-        .catch(err => {
-          console.error('Failed to initialize autocomplete:', err)
-        })
+    if (isCentreNameMode) {
+      // Centre-name mode: typo-tolerant search over names and addresses, best match first
+      const searchIndex = createCentreSearchIndex(allCentres)
+      filtered = searchIndex.search(centreName).map(({ centre, score, matches }) => ({
+        ...centre,
+        searchScore: score,
+        searchMatches: matches,
+      }))
+      if (filtered.length === 0) {
+        nearMisses = searchIndex.suggest(centreName).map(({ centre }) => centre.name)
+      }
+    } else if (isLevelSubjectMode) {
+      // Level+subject mode: filter by levels and subjects, ranked by coverage
+      filtered = searchCentres(allCentres, { levels, subjects, stream, match, details })
+      options = getOfferingDetailOptions(allCentres, levels, subjects, stream)
     }
+
+    return { centres: filtered, suggestions: nearMisses, detailOptions: options }
+  }, [allCentres, levels, subjects, stream, match, details, centreName, isCentreNameMode, isLevelSubjectMode])
+
+  // Every branch of each chain in the region, for brand-wide reviews
+  const brandBranches = useMemo(() => getBrandBranches(allCentres || []), [allCentres])
+
+  const cancelGeocoding = useCallback(() => {
+    if (geocodeControllerRef.current) geocodeControllerRef.current.abort()
   }, [])
 
-  // Geocode centres and calculate distances when parent location changes
-  useEffect(() => {
-    if (parentLocation && centres.length > 0) {
-      geocodeCentresAndCalculateDistances()
+  // Geocode centres as one batch (see geocodeQueue.js), replacing any batch
+  // still running; locations are merged in as they arrive
+  const locateCentres = useCallback(async (centresToLocate) => {
+    cancelGeocoding()
+    const controller = new AbortController()
+    geocodeControllerRef.current = controller
+    setGeocodeProgress({ done: 0, total: centresToLocate.length })
+    setFailedCentres([])
+
+    try {
+      const { failed } = await geocodeCentres(centresToLocate, {
+        signal: controller.signal,
+        onProgress: ({ done, total, locations }) => {
+          setGeocodeProgress({ done, total })
+          setGeocodedLocations(current => new Map([...current, ...locations]))
+        },
+      })
+      setFailedCentres(failed.map(({ centre }) => centre))
+    } catch (error) {
+      if (error.name !== 'AbortError') console.error('Failed to geocode centres:', error)
+    } finally {
+      if (geocodeControllerRef.current === controller) {
+        geocodeControllerRef.current = null
+        setGeocodeProgress(null)
+      }
     }
-  }, [parentLocation, centres])
+  }, [cancelGeocoding])
+
+  // Geocode centres missing bundled coordinates once distances, the map or the
+  // near-MRT filter need them; a new location or new results cancel the batch
+  // and start again (centres already located come from geocodeCentre's cache)
+  const needsCentreLocations = hasDistanceAnchor || isMapView || nearMrtOnly
+  useEffect(() => {
+    const unlocatedCentres = centres.filter(centre => !centre.location)
+    if (!needsCentreLocations || unlocatedCentres.length === 0) return
+
+    locateCentres(unlocatedCentres)
+    return cancelGeocoding
+  }, [needsCentreLocations, centres, parentLocation, locateCentres, cancelGeocoding])
 
   const handlePlaceSelected = (location) => {
     setParentLocation(location)
@@ -172,6 +278,14 @@ function ResultsPage() {
       const location = await getCurrentLocation()
       setParentLocation(location)
       setLocationInput('Current location')
+
+      // Name the spot when the provider can; distances don't need it
+      getLocationProvider()
+        .reverseGeocode(location)
+        .then(address => {
+          if (address) setLocationInput(input => (input === 'Current location' ? address : input))
+        })
+        .catch(err => console.warn('Failed to look up current address:', err))
       
       // Save to sessionStorage with timestamp
       try {
@@ -195,51 +309,25 @@ function ResultsPage() {
 
     setLocationError('')
     try {
-      const google = await loadGoogleMapsAPI()
-      const geocoder = new google.maps.Geocoder()
-
-      geocoder.geocode(
-        { 
-          address: locationInput,
-          componentRestrictions: { country: 'sg' }
-        },
-        (results, status) => {
-          if (status === 'OK' && results[0]) {
-            const location = {
-              lat: results[0].geometry.location.lat(),
-              lng: results[0].geometry.location.lng(),
-              address: results[0].formatted_address
-            }
-            setParentLocation(location)
-            setLocationInput(results[0].formatted_address)
-            
-            // Save to sessionStorage with timestamp
-            try {
-              sessionStorage.setItem(LOCATION_STORAGE_KEY, JSON.stringify({
-                location,
-                timestamp: Date.now()
-              }))
-            } catch (err) {
-              console.error('Failed to save location:', err)
-            }
-          } else {
-            setLocationError('Location not found. Please try again.')
-          }
-        }
-      )
+      // Postal codes in the bundled table are resolved offline; the provider
+      // geocodes the rest
+      const postalCode = isPostalCode(locationInput) ? locationInput.trim() : null
+      const location = (postalCode && (await loadPostalLookup()).resolve(postalCode))
+        || await getLocationProvider().geocode(postalCode ? `${postalCode}, Singapore` : locationInput)
+      if (location) {
+        handlePlaceSelected(location)
+      } else if (postalCode) {
+        setLocationError('Postal code not found. Try your street address instead.')
+      } else {
+        setLocationError('Location not found. Please try again.')
+      }
     } catch (error) {
+      console.error('Failed to search location:', error)
       setLocationError('Failed to search location')
     }
   }
 
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter') {
-      handleSearchByAddress()
-    }
-  }
-
-  const handleLocationInputChange = (e) => {
-    const value = e.target.value
+  const handleLocationInputChange = (value) => {
     setLocationInput(value)
     
     // If user clears the input, clear the location
@@ -249,48 +337,67 @@ function ResultsPage() {
     }
   }
 
-  const geocodeCentresAndCalculateDistances = useCallback(async () => {
-    if (!parentLocation) return
+  // Distances from the chosen anchor. Centres located at build time (postal
+  // code table, see buildCentresIndex) are measured straight away; the rest
+  // once geocoded
+  const centreDistances = useMemo(() => {
+    if (!distanceAnchor) return new Map()
 
-    setIsGeocodingCentres(true)
-    const newDistances = new Map()
-    let completedCount = 0
+    const distances = new Map()
+    centres.forEach(centre => {
+      const location = centre.location || geocodedLocations.get(centre.id)
+      if (location) distances.set(centre.id, getAnchorDistance(distanceAnchor, distanceOrigins, location))
+    })
+    return distances
+  }, [distanceAnchor, distanceOrigins, centres, geocodedLocations])
 
-    // Geocode centres with a small delay to avoid rate limiting
-    for (const centre of centres) {
-      try {
-        const centreLocation = await geocodeCentre(centre)
-        const distance = calculateDistance(
-          parentLocation.lat,
-          parentLocation.lng,
-          centreLocation.lat,
-          centreLocation.lng
-        )
-        newDistances.set(centre.name, distance)
-        completedCount++
-
-        // Update distances progressively
-        if (completedCount % 5 === 0 || completedCount === centres.length) {
-          setCentreDistances(new Map(newDistances))
-        }
+  // Nearest MRT station: from the bundled coordinates (hydrateCentresIndex), or
+  // once geocoded for centres without them
+  const nearestStations = useMemo(() => new Map(centres.map(centre => [
+    centre.id,
+    centre.nearestMrt || getNearestStation(geocodedLocations.get(centre.id)),
+  ])), [centres, geocodedLocations])
 
-        // Small delay to avoid hitting rate limits
-        if (completedCount < centres.length) {
-          await new Promise(resolve => setTimeout(resolve, 100))
-        }
-      } catch (error) {
-        console.error(`Failed to geocode ${centre.name}:`, error)
-      }
-    }
+  // Narrow results to centres mentioning every keyword; in level+subject mode only
+  // the notes and subjects of the searched classes count
+  const keywordResults = useMemo(
+    () => searchKeywords(centres, keyword, {
+      getOfferings: isLevelSubjectMode
+        ? (centre) => getMatchingOfferings(centre, levels, subjects, stream)
+        : undefined,
+    }),
+    [centres, keyword, isLevelSubjectMode, levels, subjects, stream]
+  )
+  const keywordSnippets = new Map(keywordResults.map(({ centre, snippets }) => [centre.id, snippets]))
+  const hasKeyword = keyword.trim() !== ''
+
+  // Cheapest hourly fee of the searched classes, for sorting by price
+  const hourlyFees = useMemo(() => new Map(sortBy === 'price'
+    ? centres.map(centre => [
+      centre.id,
+      getLowestHourlyFee(getMatchingOfferings(centre, levels, subjects, stream, details)),
+    ])
+    : []), [sortBy, centres, levels, subjects, stream, details])
+
+  // Sort centres by hourly fee when asked (centres without one last), then by
+  // name-search relevance or combinations covered (multi-select searches), then by distance
+  // from the chosen anchor. Memoised, like visibleCentres, so the map only
+  // reframes when the results change
+  const sortedCentres = useMemo(() => keywordResults.map(({ centre }) => centre).sort((a, b) => {
+    const feeA = hourlyFees.get(a.id) ?? Infinity
+    const feeB = hourlyFees.get(b.id) ?? Infinity
+    if (feeA !== feeB) return feeA - feeB
+
+    const scoreA = a.searchScore ?? 0
+    const scoreB = b.searchScore ?? 0
+    if (scoreA !== scoreB) return scoreB - scoreA
 
-    setCentreDistances(newDistances)
-    setIsGeocodingCentres(false)
-  }, [parentLocation, centres])
+    const coverageA = a.coverage ? a.coverage.covered.length : 0
+    const coverageB = b.coverage ? b.coverage.covered.length : 0
+    if (coverageA !== coverageB) return coverageB - coverageA
 
-  // Sort centres by distance only (no alphabetical fallback)
-  const sortedCentres = [...centres].sort((a, b) => {
-    const distA = centreDistances.get(a.name)
-    const distB = centreDistances.get(b.name)
+    const distA = centreDistances.get(a.id)
+    const distB = centreDistances.get(b.id)
 
     // Both have distances - sort by distance ascending
     if (distA !== undefined && distB !== undefined) {
@@ -303,10 +410,91 @@ function ResultsPage() {
     
     // Neither has distance - maintain original order
     return 0
-  })
+  }), [keywordResults, hourlyFees, centreDistances])
+
+  // Centres within the radius (those whose distance isn't known yet are left
+  // out) and, if asked, a short walk from an MRT station (those not located
+  // yet are left out, and counted below)
+  const visibleCentres = useMemo(() => sortedCentres.filter(centre => {
+    if (nearMrtOnly && !isNearMrt(nearestStations.get(centre.id))) return false
+    if (!distanceAnchor || !radiusKm) return true
+    const distance = centreDistances.get(centre.id)
+    return distance !== undefined && distance <= radiusKm
+  }), [sortedCentres, nearMrtOnly, nearestStations, distanceAnchor, radiusKm, centreDistances])
+
+  // Centres the near-MRT filter couldn't check, having no location (yet)
+  const unlocatedMrtCount = nearMrtOnly
+    ? sortedCentres.filter(centre => !nearestStations.get(centre.id)).length
+    : 0
+
+  // Distance bands head the list when it is ordered by distance; a chain's
+  // branches collapse into one brand card at its best-ranked branch (per band)
+  const showDistanceBands = hasDistanceAnchor && sortBy !== 'price' && !isCentreNameMode
+  const resultSections = showDistanceBands
+    ? groupByDistanceBand(visibleCentres, centre => centreDistances.get(centre.id))
+      .map(({ band, items }) => ({ band, groups: groupCentresByBrand(items) }))
+    : [{ band: null, groups: groupCentresByBrand(visibleCentres) }]
 
   const handleBack = () => {
-    navigate('/')
+    navigate(regionPath(region))
+  }
+
+  const handleDetailsChange = ({ maxMonthlyFee: budget, maxClassSize: size, days: selectedDays, times: selectedTimes }) => {
+    const next = new URLSearchParams(searchParams)
+    next.delete('budget')
+    next.delete('size')
+    next.delete('day')
+    next.delete('time')
+    if (budget) next.set('budget', String(budget))
+    if (size) next.set('size', String(size))
+    selectedDays.forEach(day => next.append('day', day))
+    selectedTimes.forEach(time => next.append('time', time))
+    setSearchParams(next, { replace: true })
+  }
+
+  const handleSortChange = (sort) => {
+    const next = new URLSearchParams(searchParams)
+    if (sort === 'price') next.set('sort', 'price')
+    else next.delete('sort')
+    setSearchParams(next, { replace: true })
+  }
+
+  const handleRadiusChange = (radius) => {
+    const next = new URLSearchParams(searchParams)
+    if (radius) next.set('radius', String(radius))
+    else next.delete('radius')
+    setSearchParams(next, { replace: true })
+  }
+
+  const handleSchoolChange = (newSchool) => {
+    const next = new URLSearchParams(searchParams)
+    if (newSchool) next.set('school', newSchool.id)
+    else next.delete('school')
+    setSearchParams(next, { replace: true })
+  }
+
+  const handleDistanceAnchorChange = (anchorId) => {
+    const next = new URLSearchParams(searchParams)
+    next.set('from', anchorId)
+    setSearchParams(next, { replace: true })
+  }
+
+  const handleViewChange = (view) => {
+    const next = new URLSearchParams(searchParams)
+    if (view === 'map') next.set('view', 'map')
+    else next.delete('view')
+    setSearchParams(next, { replace: true })
+  }
+
+  const handleNearMrtChange = (nearMrt) => {
+    const next = new URLSearchParams(searchParams)
+    if (nearMrt) next.set('mrt', 'near')
+    else next.delete('mrt')
+    setSearchParams(next, { replace: true })
+  }
+
+  const handleSuggestionClick = (name) => {
+    navigate(`${regionPath(region, '/results')}?centre=${encodeURIComponent(name)}`)
   }
 
   const handleCardClick = (centre) => {
@@ -319,10 +507,229 @@ function ResultsPage() {
     setSelectedCentre(null)
   }
 
+  // Result card for one centre (or one branch inside a brand card)
+  const renderCentreCard = (centre) => {
+    // Get the note that matches the current search criteria (only for level+subject mode)
+    const matchingNote = isLevelSubjectMode ? getMatchingNote(centre, levels, subjects, stream) : null;
+    // Get subjects offered by this centre at the selected levels (only for level+subject mode)
+    const subjectsAtLevel = isLevelSubjectMode ? getSubjectsForCentreAtLevel(centre, levels) : centre.subjects;
+    // Fee, lesson slots and class size of the searched classes
+    const classDetails = isLevelSubjectMode
+      ? getMatchingOfferings(centre, levels, subjects, stream, details).filter(hasOfferingDetails)
+      : []
+    // Combinations covered, shown once more than one was requested
+    const coverage = isLevelSubjectMode && hasMultipleCombinations ? centre.coverage : null;
+    // Get distance if available
+    const distance = centreDistances.get(centre.id);
+    // Parts of the name/address matched by a centre-name search
+    const searchMatches = centre.searchMatches || { name: [], address: [] };
+    const displayAddress = formatSgAddress(centre.address, centre.postalCode);
+    // Keyword matches in notes, subjects and the address
+    const snippets = keywordSnippets.get(centre.id) || [];
+    const noteSnippets = snippets.filter(snippet => snippet.type === 'note');
+    const subjectRanges = new Map(snippets
+      .filter(snippet => snippet.type === 'subject')
+      .map(snippet => [snippet.text, snippet.ranges]));
+    const addressRanges = mergeRanges([
+      ...searchMatches.address,
+      ...snippets.filter(snippet => snippet.type === 'address').flatMap(snippet => snippet.ranges),
+    ]).filter(([, end]) => end <= displayAddress.length);
+
+    return (
+      <Card
+        key={centre.id}
+        onClick={() => handleCardClick(centre)}
+        sx={{
+          bgcolor: '#ffffff',
+          boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+          borderRadius: 1,
+          cursor: 'pointer',
+          '&:hover': {
+            boxShadow: '0 2px 6px rgba(0,0,0,0.15)',
+          },
+        }}
+      >
+        <CardContent>
+          <Typography
+            variant="h6"
+            sx={{
+              fontSize: '16px',
+              fontWeight: 600,
+              color: '#3d3d3d',
+              mb: 1,
+            }}
+          >
+            <HighlightedText text={centre.name} ranges={searchMatches.name} />
+          </Typography>
+
+          {region === ALL_REGIONS_ID && (
+            <Typography
+              variant="caption"
+              sx={{
+                display: 'block',
+                color: '#888888',
+                mt: -0.75,
+                mb: 1,
+                fontSize: '11px',
+                fontWeight: 600,
+              }}
+            >
+              {getRegionName(centre.region)}
+            </Typography>
+          )}
+
+          {coverage && (
+            <Typography
+              variant="body2"
+              sx={{
+                color: coverage.covered.length === coverage.total ? '#2c4a3a' : '#888888',
+                mb: 1,
+                fontSize: '12px',
+                fontWeight: 500,
+              }}
+            >
+              Covers {coverage.covered.length} of {coverage.total}: {coverage.covered
+                .map(({ level: lvl, subject: subj }) => `${lvl} ${subj}`)
+                .join(', ')}
+            </Typography>
+          )}
+
+          {classDetails.slice(0, 3).map((offering) => (
+            <Typography
+              key={`${offering.level}-${offering.subject}-${offering.streams.join('/')}`}
+              variant="body2"
+              sx={{
+                color: '#2c4a3a',
+                mb: 0.5,
+                fontSize: '12px',
+              }}
+            >
+              <Box component="span" sx={{ fontWeight: 600 }}>
+                {offering.level} {offering.subject}:
+              </Box>{' '}
+              {formatOfferingDetails(offering)}
+            </Typography>
+          ))}
+
+          {noteSnippets.map((snippet) => (
+            <Typography
+              key={snippet.text}
+              variant="body2"
+              sx={{
+                color: '#666666',
+                mb: 1,
+                fontSize: '13px',
+                whiteSpace: 'pre-line',
+              }}
+            >
+              <Box component="span" sx={{ color: '#888888', fontSize: '11px', fontWeight: 600, display: 'block' }}>
+                {snippet.label}
+              </Box>
+              <HighlightedText text={snippet.text} ranges={snippet.ranges} />
+            </Typography>
+          ))}
+
+          {matchingNote && noteSnippets.length === 0 && (
+            <Typography
+              variant="body2"
+              sx={{
+                color: '#666666',
+                mb: 1,
+                fontSize: '13px',
+              }}
+            >
+              {matchingNote}
+            </Typography>
+          )}
+
+          <Typography
+            variant="body2"
+            sx={{
+              color: '#888888',
+              fontSize: '12px',
+              mb: 0.5,
+            }}
+          >
+            <HighlightedText text={displayAddress} ranges={addressRanges} />
+          </Typography>
+
+          <MrtInfo station={nearestStations.get(centre.id)} sx={{ mb: 0.5 }} />
+
+          {/* Distance Display */}
+          {distanceAnchor && (
+            <Typography
+              variant="body2"
+              sx={{
+                color: distance !== undefined ? '#4caf50' : '#cccccc',
+                fontSize: '12px',
+                fontWeight: 500,
+                mb: 1,
+              }}
+            >
+              {distance !== undefined ? distanceAnchor.format(distance) : '...'}
+            </Typography>
+          )}
+
+          <Box>
+            <Typography
+              variant="caption"
+              sx={{
+                color: '#888888',
+                fontSize: '11px',
+                fontWeight: 600,
+                display: 'block',
+                mb: 0.5,
+              }}
+            >
+              Subjects:
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+              {subjectsAtLevel.map((subj) => (
+                <Chip
+                  key={subj}
+                  label={<HighlightedText text={subj} ranges={subjectRanges.get(subj)} />}
+                  size="small"
+                  sx={{
+                    fontSize: '11px',
+                    height: '20px',
+                    bgcolor: '#f5f5f5',
+                  }}
+                />
+              ))}
+            </Box>
+          </Box>
+        </CardContent>
+      </Card>
+    )
+  }
+
   if (loading) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '100vh' }}>
-        <CircularProgress />
+        <LoadingProgress progress={progress} />
+      </Box>
+    )
+  }
+
+  if (loadError && !allCentres) {
+    return (
+      <Box
+        sx={{
+          display: 'flex',
+          flexDirection: 'column',
+          justifyContent: 'center',
+          alignItems: 'center',
+          gap: 1,
+          minHeight: '100vh',
+          px: 2,
+        }}
+      >
+        <Typography variant="body2" sx={{ color: 'error.main', textAlign: 'center', fontSize: '12px' }}>
+          Failed to load data. Please refresh the page.
+        </Typography>
+        <Button startIcon={<ArrowBackIcon />} onClick={handleBack} sx={{ color: '#3d3d3d', textTransform: 'none' }}>
+          Back to filters
+        </Button>
       </Box>
     )
   }
@@ -386,6 +793,15 @@ function ResultsPage() {
 
           {/* Filter Chips */}
           <Box sx={{ display: 'flex', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+            <Chip
+              label={getRegionName(region)}
+              size="small"
+              variant="outlined"
+              sx={{
+                color: '#3d3d3d',
+                fontWeight: 500,
+              }}
+            />
             {isCentreNameMode && (
               <Chip
                 label={`Centre: ${centreName}`}
@@ -397,9 +813,21 @@ function ResultsPage() {
                 }}
               />
             )}
-            {isLevelSubjectMode && level && (
+            {isLevelSubjectMode && levels.map((lvl) => (
+              <Chip
+                key={`level-${lvl}`}
+                label={lvl}
+                size="small"
+                sx={{
+                  bgcolor: '#e8f5e9',
+                  color: '#2c4a3a',
+                  fontWeight: 500,
+                }}
+              />
+            ))}
+            {isLevelSubjectMode && stream && (
               <Chip
-                label={level}
+                label={getStreamLabel(stream)}
                 size="small"
                 sx={{
                   bgcolor: '#e8f5e9',
@@ -408,9 +836,10 @@ function ResultsPage() {
                 }}
               />
             )}
-            {isLevelSubjectMode && subject && (
+            {isLevelSubjectMode && subjects.map((subj) => (
               <Chip
-                label={subject}
+                key={`subject-${subj}`}
+                label={subj}
                 size="small"
                 sx={{
                   bgcolor: '#e8f5e9',
@@ -418,38 +847,97 @@ function ResultsPage() {
                   fontWeight: 500,
                 }}
               />
+            ))}
+            {isLevelSubjectMode && hasMultipleCombinations && (
+              <Chip
+                label={match === 'any' ? 'Any of these' : 'All of these'}
+                size="small"
+                variant="outlined"
+                sx={{
+                  color: '#2c4a3a',
+                  fontWeight: 500,
+                }}
+              />
             )}
           </Box>
 
-          {/* Results Count */}
-          <Typography
-            variant="body2"
+          {/* Results Count + list/map toggle */}
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 1, mb: 1 }}>
+            <Typography
+              variant="body2"
+              sx={{
+                color: '#888888',
+                fontSize: '13px',
+              }}
+            >
+              {hasKeyword
+                ? `${visibleCentres.length} of ${centres.length} centre${centres.length !== 1 ? 's' : ''} mention "${keyword.trim()}"`
+                : `${visibleCentres.length} centre${visibleCentres.length !== 1 ? 's' : ''} found`}
+              {distanceAnchor && radiusKm && ` within ${radiusKm} km`}
+              {nearMrtOnly && ' near MRT'}
+              {unlocatedMrtCount > 0 && ` (${unlocatedMrtCount} without a known location left out)`}
+            </Typography>
+            <ToggleButtonGroup
+              value={isMapView ? 'map' : 'list'}
+              exclusive
+              size="small"
+              onChange={(event, newView) => {
+                if (newView) handleViewChange(newView)
+              }}
+            >
+              <ToggleButton value="list" aria-label="List" sx={{ py: 0.25 }}>
+                <ViewListIcon sx={{ fontSize: '18px' }} />
+              </ToggleButton>
+              <ToggleButton value="map" aria-label="Map" sx={{ py: 0.25 }}>
+                <MapIcon sx={{ fontSize: '18px' }} />
+              </ToggleButton>
+            </ToggleButtonGroup>
+          </Box>
+
+          {/* Keyword Search */}
+          <TextField
+            placeholder='Search notes, e.g. "small group", online'
+            value={keyword}
+            onChange={(e) => setKeyword(e.target.value)}
+            size="small"
+            fullWidth
             sx={{
-              color: '#888888',
-              fontSize: '13px',
               mb: 1,
+              '& .MuiOutlinedInput-root': {
+                fontSize: '13px',
+                bgcolor: '#ffffff',
+              }
             }}
-          >
-            {centres.length} centre{centres.length !== 1 ? 's' : ''} found
-          </Typography>
+          />
+
+          <FilterRow label="Getting there">
+            <FilterChip
+              label={`Near MRT (${NEAR_MRT_WALK_MINUTES} min walk)`}
+              onClick={() => handleNearMrtChange(!nearMrtOnly)}
+              selected={nearMrtOnly}
+            />
+          </FilterRow>
+
+          {/* Class size / lesson day filters */}
+          {isLevelSubjectMode && (
+            <OfferingDetailFilters
+              options={detailOptions}
+              value={details}
+              onChange={handleDetailsChange}
+              sort={sortBy}
+              onSortChange={handleSortChange}
+            />
+          )}
 
           {/* Location Bar */}
           <Box sx={{ mb: 0.5 }}>
             <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
-              <TextField
-                inputRef={locationInputRef}
-                placeholder="Enter your location"
+              <LocationSearchField
                 value={locationInput}
-                onChange={handleLocationInputChange}
-                onKeyDown={handleKeyPress}
-                size="small"
-                sx={{
-                  flex: 1,
-                  '& .MuiOutlinedInput-root': {
-                    fontSize: '13px',
-                    bgcolor: '#ffffff',
-                  }
-                }}
+                onInputChange={handleLocationInputChange}
+                onPlaceSelected={handlePlaceSelected}
+                onSubmit={handleSearchByAddress}
+                onError={setLocationError}
               />
               <Button
                 startIcon={<SearchIcon />}
@@ -497,23 +985,73 @@ function ResultsPage() {
             >
               Used to sort by distance
             </Typography>
+            <Box sx={{ mt: 1 }}>
+              <SchoolPicker value={school} onChange={handleSchoolChange} />
+            </Box>
             {locationError && (
               <Alert severity="warning" sx={{ mt: 1, py: 0, fontSize: '12px' }}>
                 {locationError}
               </Alert>
             )}
-            {isGeocodingCentres && (
-              <Typography
-                variant="caption"
-                sx={{
-                  color: '#666666',
-                  fontSize: '11px',
-                  display: 'block',
-                  mt: 0.5,
-                }}
+            {geocodeProgress && (
+              <Box sx={{ mt: 0.5 }}>
+                <Typography
+                  variant="caption"
+                  sx={{
+                    color: '#666666',
+                    fontSize: '11px',
+                    display: 'block',
+                  }}
+                >
+                  Locating centres... {geocodeProgress.done} of {geocodeProgress.total}
+                </Typography>
+                <LinearProgress
+                  variant="determinate"
+                  value={(geocodeProgress.done / geocodeProgress.total) * 100}
+                  sx={{ height: 3, borderRadius: 1 }}
+                />
+              </Box>
+            )}
+            {!geocodeProgress && failedCentres.length > 0 && (
+              <Alert
+                severity="info"
+                sx={{ mt: 1, py: 0, fontSize: '12px' }}
+                action={
+                  <Button size="small" onClick={() => locateCentres(failedCentres)} sx={{ textTransform: 'none' }}>
+                    Retry
+                  </Button>
+                }
               >
-                Calculating distances...
-              </Typography>
+                Couldn't locate {failedCentres.map(centre => centre.name).join(', ')}, so{' '}
+                {failedCentres.length === 1 ? 'it has' : 'they have'} no distance and{' '}
+                {failedCentres.length === 1 ? "isn't" : "aren't"} on the map.
+              </Alert>
+            )}
+            {distanceAnchor && (
+              <Box sx={{ mt: 1 }}>
+                {school && (
+                  <FilterRow label="From">
+                    {getAvailableAnchors(distanceOrigins).map(anchor => (
+                      <FilterChip
+                        key={anchor.id}
+                        label={anchor.label}
+                        onClick={() => handleDistanceAnchorChange(anchor.id)}
+                        selected={anchor === distanceAnchor}
+                      />
+                    ))}
+                  </FilterRow>
+                )}
+                <FilterRow label="Distance">
+                  {RADIUS_CHOICES_KM.map(radius => (
+                    <FilterChip
+                      key={radius}
+                      label={`Within ${radius} km`}
+                      onClick={() => handleRadiusChange(radius === radiusKm ? null : radius)}
+                      selected={radius === radiusKm}
+                    />
+                  ))}
+                </FilterRow>
+              </Box>
             )}
           </Box>
         </Container>
@@ -531,8 +1069,8 @@ function ResultsPage() {
           minHeight: '50vh',
         }}
       >
-        {/* Empty state when no location */}
-        {!parentLocation ? (
+        {/* No centre-name matches: offer near misses */}
+        {isCentreNameMode && centres.length === 0 ? (
           <Box
             sx={{
               display: 'flex',
@@ -553,7 +1091,67 @@ function ResultsPage() {
                 fontSize: '18px',
               }}
             >
-              Enter your location to view nearby centres
+              No centres match "{centreName}"
+            </Typography>
+            {suggestions.length > 0 && (
+              <>
+                <Typography
+                  variant="body2"
+                  sx={{
+                    color: '#888888',
+                    fontSize: '14px',
+                    mb: 1,
+                  }}
+                >
+                  Did you mean:
+                </Typography>
+                <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', justifyContent: 'center' }}>
+                  {suggestions.map((name) => (
+                    <Chip
+                      key={name}
+                      label={name}
+                      onClick={() => handleSuggestionClick(name)}
+                      sx={{
+                        bgcolor: '#e3f2fd',
+                        color: '#1565c0',
+                        fontWeight: 500,
+                      }}
+                    />
+                  ))}
+                </Box>
+              </>
+            )}
+          </Box>
+        ) : isMapView ? (
+          <ResultsMap
+            centres={visibleCentres}
+            locations={geocodedLocations}
+            home={parentLocation}
+            school={school}
+            onCentreClick={handleCardClick}
+          />
+        ) : !distanceAnchor ? (
+          <Box
+            sx={{
+              display: 'flex',
+              flexDirection: 'column',
+              alignItems: 'center',
+              justifyContent: 'center',
+              minHeight: '50vh',
+              textAlign: 'center',
+              px: 3,
+            }}
+          >
+            <Typography
+              variant="h6"
+              sx={{
+                color: '#3d3d3d',
+                fontWeight: 600,
+                mb: 1,
+                fontSize: '18px',
+              }}
+            >
+              Enter your location or school to view nearby centres
             </Typography>
             <Typography
               variant="body2"
@@ -562,7 +1160,7 @@ function ResultsPage() {
                 fontSize: '14px',
               }}
             >
-              Use current location or type your address.
+              Use current location, type your address or pick your child's school.
             </Typography>
           </Box>
         ) : (
@@ -574,121 +1172,82 @@ function ResultsPage() {
               pb: 3,
             }}
           >
-          {sortedCentres.map((centre) => {
-            // Get the note that matches the current search criteria (only for level+subject mode)
-            const matchingNote = isLevelSubjectMode ? getMatchingNote(centre, level, subject) : null;
-            // Get subjects offered by this centre at the selected level (only for level+subject mode)
-            const subjectsAtLevel = isLevelSubjectMode ? getSubjectsForCentreAtLevel(centre, level) : centre.subjects;
-            // Get distance if available
-            const distance = centreDistances.get(centre.name);
-
-            return (
-            <Card
-              key={centre.name}
-              onClick={() => handleCardClick(centre)}
+          {(radiusKm || nearMrtOnly) && sortedCentres.length > 0 && visibleCentres.length === 0 && (
+            <Typography
+              variant="body2"
               sx={{
-                bgcolor: '#ffffff',
-                boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
-                borderRadius: 1,
-                cursor: 'pointer',
-                '&:hover': {
-                  boxShadow: '0 2px 6px rgba(0,0,0,0.15)',
-                },
+                color: '#888888',
+                fontSize: '14px',
+                textAlign: 'center',
+                py: 4,
               }}
             >
-              <CardContent>
-                <Typography
-                  variant="h6"
-                  sx={{
-                    fontSize: '16px',
-                    fontWeight: 600,
-                    color: '#3d3d3d',
-                    mb: 1,
-                  }}
-                >
-                  {centre.name}
-                </Typography>
-
-                {matchingNote && (
-                  <Typography
-                    variant="body2"
-                    sx={{
-                      color: '#666666',
-                      mb: 1,
-                      fontSize: '13px',
-                    }}
-                  >
-                    {matchingNote}
-                  </Typography>
-                )}
+              No centres{radiusKm && ` within ${radiusKm} km`}{nearMrtOnly && ' near MRT'}.
+              {radiusKm ? ' Try a wider distance.' : ' Try turning off Near MRT.'}
+            </Typography>
+          )}
+          {hasKeyword && sortedCentres.length === 0 && (
+            <Typography
+              variant="body2"
+              sx={{
+                color: '#888888',
+                fontSize: '14px',
+                textAlign: 'center',
+                py: 4,
+              }}
+            >
+              No centres here mention "{keyword.trim()}". Try fewer or different keywords.
+            </Typography>
+          )}
+          {resultSections.flatMap(({ band, groups }) => [
+            band && (
+              <Typography
+                key={`band-${band.id}`}
+                variant="subtitle2"
+                sx={{
+                  color: '#2c4a3a',
+                  fontSize: '13px',
+                  fontWeight: 600,
+                  mb: -1,
+                }}
+              >
+                {band.label}
+              </Typography>
+            ),
+            ...groups.map((group) => {
+              if (group.centres.length === 1) return renderCentreCard(group.centres[0])
 
-                <Typography
-                  variant="body2"
-                  sx={{
-                    color: '#888888',
-                    fontSize: '12px',
-                    mb: 0.5,
-                  }}
+              // Several branches of a chain: one brand card with the nearest distance
+              const branchDistances = group.centres
+                .map(centre => centreDistances.get(centre.id))
+                .filter(distance => distance !== undefined)
+              return (
+                <BrandCard
+                  key={`brand-${band ? band.id : 'all'}-${group.brand}`}
+                  brand={group.brand}
+                  branches={group.centres}
+                  distanceLabel={branchDistances.length > 0
+                    ? `Nearest: ${distanceAnchor.format(Math.min(...branchDistances))}`
+                    : undefined}
                 >
-                  {formatSgAddress(centre.address, centre.postalCode)}
-                </Typography>
-
-                {/* Distance Display */}
-                {parentLocation && (
-                  <Typography
-                    variant="body2"
-                    sx={{
-                      color: distance !== undefined ? '#4caf50' : '#cccccc',
-                      fontSize: '12px',
-                      fontWeight: 500,
-                      mb: 1,
-                    }}
-                  >
-                    {distance !== undefined ? `${distance.toFixed(1)} km away` : '...'}
-                  </Typography>
-                )}
-
-                <Box>
-                  <Typography
-                    variant="caption"
-                    sx={{
-                      color: '#888888',
-                      fontSize: '11px',
-                      fontWeight: 600,
-                      display: 'block',
-                      mb: 0.5,
-                    }}
-                  >
-                    Subjects:
-                  </Typography>
-                  <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
-                    {subjectsAtLevel.map((subj) => (
-                      <Chip
-                        key={subj}
-                        label={subj}
-                        size="small"
-                        sx={{
-                          fontSize: '11px',
-                          height: '20px',
-                          bgcolor: '#f5f5f5',
-                        }}
-                      />
-                    ))}
-                  </Box>
-                </Box>
-              </CardContent>
-            </Card>
-          )})}
+                  {group.centres.map(renderCentreCard)}
+                </BrandCard>
+              )
+            }),
+          ])}
         </Box>
         )}
       </Container>
 
       <CentreModal
         centre={selectedCentre}
+        nearestMrt={selectedCentre ? nearestStations.get(selectedCentre.id) : null}
+        branches={selectedCentre && selectedCentre.brand ? brandBranches.get(selectedCentre.brand) : undefined}
         open={modalOpen}
         onClose={handleCloseModal}
-        level={isCentreNameMode ? null : level}
-        subject={isCentreNameMode ? null : subject}
+        level={isCentreNameMode ? null : reviewLevel}
+        subject={isCentreNameMode ? null : reviewSubject}
+        stream={isCentreNameMode ? null : stream}
       />
     </Box>
   )
@@ -0,0 +1,265 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import {
+  Container,
+  Box,
+  Typography,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+} from '@mui/material'
+import ArrowBackIcon from '@mui/icons-material/ArrowBack'
+import { loadChangelog } from '../utils/dataLoader'
+import { compareLevels, compareSubjects, getStreamLabel } from '../utils/taxonomy'
+import { DEFAULT_REGION_ID, getLastRegion, getRegionName, regionPath } from '../utils/regions'
+
+// Changelog centre fields → labels
+const FIELD_LABELS = {
+  region: 'Area',
+  name: 'Name',
+  brand: 'Brand',
+  branch: 'Branch',
+  address: 'Address',
+  postalCode: 'Postal code',
+  websiteUrl: 'Website',
+  whatsappNumber: 'WhatsApp',
+  contactType: 'Contact method',
+}
+
+function formatDate(date) {
+  const parsed = new Date(`${date}T00:00:00`)
+  if (Number.isNaN(parsed.getTime())) return date
+  return parsed.toLocaleDateString('en-SG', { day: 'numeric', month: 'short', year: 'numeric' })
+}
+
+function formatClass({ level, subject, streams }) {
+  const streamText = streams && streams.length > 0 ? ` (${streams.map(getStreamLabel).join('/')})` : ''
+  return `${level} ${subject}${streamText}`
+}
+
+/**
+ * Group offering changes by centre, leaving out centres that were added or
+ * removed outright (they are listed on their own)
+ */
+function groupOfferingsByCentre(offerings, skipCentreIds) {
+  const groups = new Map()
+
+  offerings
+    .filter(offering => !skipCentreIds.has(offering.centreId))
+    .sort((a, b) => compareLevels(a.level, b.level) || compareSubjects(a.subject, b.subject))
+    .forEach(offering => {
+      if (!groups.has(offering.centreId)) {
+        groups.set(offering.centreId, { name: offering.centre, classes: [] })
+      }
+      groups.get(offering.centreId).classes.push(formatClass(offering))
+    })
+
+  return [...groups.values()].sort((a, b) => a.name.localeCompare(b.name))
+}
+
+function Section({ title, children }) {
+  return (
+    <Box sx={{ mt: 1.5 }}>
+      <Typography
+        variant="caption"
+        sx={{
+          color: '#888888',
+          fontSize: '11px',
+          fontWeight: 600,
+          display: 'block',
+          mb: 0.5,
+        }}
+      >
+        {title}
+      </Typography>
+      {children}
+    </Box>
+  )
+}
+
+function ChangeLine({ name, children }) {
+  return (
+    <Typography variant="body2" sx={{ color: '#3d3d3d', fontSize: '13px', mb: 0.5 }}>
+      <Box component="span" sx={{ fontWeight: 600 }}>{name}</Box>: {children}
+    </Typography>
+  )
+}
+
+function ChangelogEntry({ entry, onCentreClick }) {
+  const wholeCentres = new Set([...entry.centres.added, ...entry.centres.removed].map(centre => centre.id))
+  const classesAdded = groupOfferingsByCentre(entry.offerings.added, wholeCentres)
+  const classesRemoved = groupOfferingsByCentre(entry.offerings.removed, wholeCentres)
+  const notesChanged = groupOfferingsByCentre(entry.offerings.changed, wholeCentres)
+
+  return (
+    <Card sx={{ bgcolor: '#ffffff', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', borderRadius: 1 }}>
+      <CardContent>
+        <Typography sx={{ color: '#3d3d3d', fontSize: '16px', fontWeight: 600 }}>
+          {entry.title || 'Listings updated'}
+        </Typography>
+        <Typography variant="body2" sx={{ color: '#888888', fontSize: '12px' }}>
+          {formatDate(entry.date)} · {getRegionName(entry.region || DEFAULT_REGION_ID)}
+        </Typography>
+
+        {entry.centres.added.length > 0 && (
+          <Section title="New centres">
+            <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+              {entry.centres.added.map(centre => (
+                <Chip
+                  key={centre.id}
+                  label={centre.name}
+                  size="small"
+                  onClick={() => onCentreClick(entry.region || DEFAULT_REGION_ID, centre.name)}
+                  sx={{ bgcolor: '#e8f5e9', color: '#2c4a3a', fontWeight: 500 }}
+                />
+              ))}
+            </Box>
+          </Section>
+        )}
+
+        {entry.centres.removed.length > 0 && (
+          <Section title="No longer listed">
+            <Typography variant="body2" sx={{ color: '#666666', fontSize: '13px' }}>
+              {entry.centres.removed.map(centre => centre.name).join(', ')}
+            </Typography>
+          </Section>
+        )}
+
+        {classesAdded.length > 0 && (
+          <Section title="New classes">
+            {classesAdded.map(group => (
+              <ChangeLine key={group.name} name={group.name}>{group.classes.join(', ')}</ChangeLine>
+            ))}
+          </Section>
+        )}
+
+        {classesRemoved.length > 0 && (
+          <Section title="Classes no longer offered">
+            {classesRemoved.map(group => (
+              <ChangeLine key={group.name} name={group.name}>{group.classes.join(', ')}</ChangeLine>
+            ))}
+          </Section>
+        )}
+
+        {entry.centres.changed.length > 0 && (
+          <Section title="Updated details">
+            {entry.centres.changed.map(centre => (
+              <ChangeLine key={centre.id} name={centre.name}>
+                {centre.changes
+                  .map(({ field, to }) => `${FIELD_LABELS[field] || field}${to ? ` → ${to}` : ' removed'}`)
+                  .join('; ')}
+              </ChangeLine>
+            ))}
+          </Section>
+        )}
+
+        {notesChanged.length > 0 && (
+          <Section title="Updated class details">
+            {notesChanged.map(group => (
+              <ChangeLine key={group.name} name={group.name}>{group.classes.join(', ')}</ChangeLine>
+            ))}
+          </Section>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+function WhatsNewPage() {
+  const navigate = useNavigate()
+  const [changelog, setChangelog] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    loadChangelog()
+      .then(entries => {
+        setChangelog(entries)
+        setLoading(false)
+      })
+      .catch(err => {
+        console.error('Failed to load changelog:', err)
+        setError('Failed to load updates. Please refresh the page.')
+        setLoading(false)
+      })
+  }, [])
+
+  // Entries from before regions were added are all Marine Parade
+  const handleCentreClick = (region, name) => {
+    navigate(`${regionPath(region, '/results')}?centre=${encodeURIComponent(name)}`)
+  }
+
+  return (
+    <Box sx={{ minHeight: '100vh', bgcolor: 'background.default' }}>
+      <Container
+        maxWidth={false}
+        sx={{
+          py: 1.5,
+          px: 2,
+          maxWidth: '420px',
+          margin: '0 auto',
+        }}
+      >
+        <Button
+          startIcon={<ArrowBackIcon />}
+          onClick={() => navigate(regionPath(getLastRegion()))}
+          sx={{
+            mb: 1,
+            color: '#3d3d3d',
+            textTransform: 'none',
+            fontSize: '14px',
+            fontWeight: 500,
+            '&:hover': {
+              bgcolor: 'transparent',
+            },
+          }}
+        >
+          Back to search
+        </Button>
+
+        <Typography
+          variant="h1"
+          sx={{
+            color: '#3d3d3d',
+            mb: 0.5,
+            fontSize: '20px',
+            fontWeight: 700,
+          }}
+        >
+          What's new
+        </Typography>
+        <Typography variant="body2" sx={{ color: '#888888', fontSize: '13px', mb: 2 }}>
+          Centres and classes added, removed or updated in our listings.
+        </Typography>
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : error ? (
+          <Typography variant="body2" sx={{ color: 'error.main', textAlign: 'center', fontSize: '12px' }}>
+            {error}
+          </Typography>
+        ) : changelog.length === 0 ? (
+          <Typography variant="body2" sx={{ color: '#888888', textAlign: 'center', fontSize: '14px', py: 4 }}>
+            No updates yet.
+          </Typography>
+        ) : (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pb: 3 }}>
+            {changelog.map(entry => (
+              <ChangelogEntry
+                key={`${entry.date}-${entry.from}-${entry.to}`}
+                entry={entry}
+                onCentreClick={handleCentreClick}
+              />
+            ))}
+          </Box>
+        )}
+      </Container>
+    </Box>
+  )
+}
+
+export default WhatsNewPage
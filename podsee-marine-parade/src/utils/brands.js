@@ -0,0 +1,57 @@
+/**
+ * Chain centres
+ * A centre may belong to a brand (workbook `brand` column, e.g. "Kumon") with
+ * its `branch_name` telling the branches apart ("Katong", "Parkway Parade").
+ * Each branch is still its own centre, with its own id, offerings and reviews;
+ * the results page groups branches under one brand card and the reviews can
+ * be read across every branch of the brand.
+ */
+
+/**
+ * Every branch of each brand in a list of centres, in list order
+ * @returns {Map<string, Array>} brand name → centres
+ */
+export function getBrandBranches(centres) {
+  const branches = new Map();
+
+  centres.forEach(centre => {
+    if (!centre.brand) return;
+    if (!branches.has(centre.brand)) branches.set(centre.brand, []);
+    branches.get(centre.brand).push(centre);
+  });
+
+  return branches;
+}
+
+/**
+ * Group ranked results so a brand's branches sit together at the position of
+ * its best-ranked branch. Centres without a brand are groups of one.
+ * @returns {Array<{ brand: string|null, centres: Array }>}
+ */
+export function groupCentresByBrand(centres) {
+  const groups = [];
+  const groupsByBrand = new Map();
+
+  centres.forEach(centre => {
+    if (!centre.brand) {
+      groups.push({ brand: null, centres: [centre] });
+      return;
+    }
+
+    if (!groupsByBrand.has(centre.brand)) {
+      const group = { brand: centre.brand, centres: [] };
+      groupsByBrand.set(centre.brand, group);
+      groups.push(group);
+    }
+    groupsByBrand.get(centre.brand).centres.push(centre);
+  });
+
+  return groups;
+}
+
+/**
+ * Short name of a branch within its brand ("Katong"), falling back to the centre name
+ */
+export function getBranchLabel(centre) {
+  return centre.brand && centre.branch ? centre.branch : centre.name;
+}
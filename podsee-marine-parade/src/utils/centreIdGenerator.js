@@ -1,16 +1,59 @@
 /**
- * Generate stable centerId from postal code
- * Uses postal code as the unique identifier for each centre
- * This ensures comments persist across deployments and CSV reseeding
+ * Stable centre ids
+ * A centre's id is the workbook `centre_id` column when filled in, otherwise a
+ * slug of its name ("Eye Level @ Katong" → "eye-level-katong"). Comments are
+ * stored against this id, so it must not change when a centre is edited:
+ * fill in `centre_id` with the old slug before renaming a centre.
+ * Ids carry no region, so they must be unique across regions: build:data and
+ * the importer refuse an id another region already uses (give one of the
+ * centres an explicit centre_id).
+ *
+ * Ids used to be postal codes, which several centres in one mall share; see
+ * scripts/migrate-comment-centre-ids.js for moving old comments over.
+ */
+
+// Lowercase words joined by single hyphens
+export const CENTRE_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Ids from the old postal-code scheme
+const LEGACY_CENTRE_ID_PATTERN = /^\d{6}$/;
+
+/**
+ * Slug of a centre name; dots and apostrophes are dropped so "S.A.M" and
+ * "Raymond's" stay one word
+ */
+export function slugifyCentreName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Id for a raw `centres` sheet row: explicit centre_id, else the name slug
+ */
+export function resolveCentreId(row) {
+  const explicit = row.centre_id === undefined || row.centre_id === null
+    ? ''
+    : String(row.centre_id).trim();
+
+  return explicit || slugifyCentreName(row.centre_name);
+}
+
+/**
+ * Get the comment id for a loaded centre
  */
 export function generateCentreId(centre) {
-  if (!centre || !centre.postalCode) {
-    throw new Error('Centre must have a postal code to generate centerId');
+  if (centre && centre.id) return centre.id;
+
+  const slug = centre ? slugifyCentreName(centre.name) : '';
+  if (!slug) {
+    throw new Error('Centre must have an id or a name to generate centreId');
   }
-  
-  // Use postal code directly as centerId
-  // Normalize to string and trim whitespace
-  return String(centre.postalCode).trim();
+  return slug;
 }
 
 /**
@@ -19,3 +62,10 @@ export function generateCentreId(centre) {
 export function isValidCentreId(centreId) {
   return centreId && typeof centreId === 'string' && centreId.trim().length > 0;
 }
+
+/**
+ * Whether an id is from the old postal-code scheme
+ */
+export function isLegacyCentreId(centreId) {
+  return LEGACY_CENTRE_ID_PATTERN.test(String(centreId || '').trim());
+}
@@ -0,0 +1,336 @@
+/**
+ * Centre Search
+ * Typo-tolerant, ranked search over centre names and addresses.
+ * Used by the landing page Autocomplete and centre-name mode on the results page.
+ */
+
+// Query shorthand → words as they appear in names/addresses
+const ABBREVIATIONS = {
+  ctr: 'centre',
+  cntr: 'centre',
+  center: 'centre',
+  edu: 'education',
+  educ: 'education',
+  acad: 'academy',
+  lc: 'learning centre',
+  sch: 'school',
+  st: 'street',
+  rd: 'road',
+  ave: 'avenue',
+  blk: 'block',
+  mp: 'marine parade',
+  ecr: 'east coast road',
+  pkwy: 'parkway',
+};
+
+// Address matches count for less than name matches
+const ADDRESS_WEIGHT = 0.6;
+
+// Minimum score for a search result, and similarity for a "did you mean" suggestion
+const MIN_SCORE = 0.5;
+const MIN_SUGGESTION_SIMILARITY = 0.45;
+
+// Lowercase and strip accents one character at a time, so positions in the
+// folded string line up with the original for highlighting
+function foldText(text) {
+  return Array.from(String(text || ''), char =>
+    char.length === 1
+      ? char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().charAt(0) || ' '
+      : ' '.repeat(char.length)
+  ).join('');
+}
+
+/**
+ * Split text into lowercase alphanumeric tokens, keeping their position in the
+ * original string so matches can be highlighted.
+ */
+export function tokenize(text) {
+  const folded = foldText(text);
+  const tokens = [];
+
+  const pattern = /[a-z0-9]+/g;
+  let match;
+  while ((match = pattern.exec(folded)) !== null) {
+    tokens.push({ value: match[0], start: match.index, end: match.index + match[0].length });
+  }
+
+  return tokens;
+}
+
+function buildField(text) {
+  const tokens = tokenize(text);
+  const compactMap = [];
+
+  // Map each character of the space/punctuation-free form back to the original string
+  tokens.forEach(token => {
+    for (let i = token.start; i < token.end; i++) compactMap.push(i);
+  });
+
+  return {
+    text: String(text || ''),
+    tokens,
+    compact: tokens.map(token => token.value).join(''),
+    compactMap,
+    acronym: tokens.map(token => token.value[0]).join(''),
+  };
+}
+
+function parseQuery(query) {
+  const tokens = tokenize(query).flatMap(token => {
+    const expansion = ABBREVIATIONS[token.value];
+    return expansion ? expansion.split(' ') : [token.value];
+  });
+
+  return {
+    tokens,
+    compact: tokenize(query).map(token => token.value).join(''),
+  };
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ */
+function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+  }
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+// Typos tolerated for a query word of this length
+function allowedEdits(length) {
+  if (length <= 3) return 0;
+  if (length <= 6) return 1;
+  return 2;
+}
+
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+}
+
+function compactRange(field, start, length) {
+  return [field.compactMap[start], field.compactMap[start + length - 1] + 1];
+}
+
+/**
+ * Match the whole query against a field ignoring spaces and punctuation
+ * ("mindstretcher" ↔ "Mind Stretcher"), or as an acronym.
+ */
+function matchCompact(field, query) {
+  if (query.compact.length < 2 || !field.compact) return null;
+
+  const index = field.compact.indexOf(query.compact);
+  if (index !== -1) {
+    let score = 0.85;
+    if (index === 0) score = field.compact.length === query.compact.length ? 1 : 0.95;
+    return { score, ranges: [compactRange(field, index, query.compact.length)] };
+  }
+
+  if (query.tokens.length === 1 && field.acronym.startsWith(query.compact)) {
+    return {
+      score: 0.8,
+      ranges: field.tokens
+        .slice(0, query.compact.length)
+        .map(token => [token.start, token.start + 1]),
+    };
+  }
+
+  // Whole-name typo ("mind streacher")
+  const prefix = field.compact.slice(0, query.compact.length);
+  const distance = editDistance(query.compact, prefix);
+  if (distance > 0 && distance <= allowedEdits(query.compact.length)) {
+    return {
+      score: 0.75 - 0.05 * distance,
+      ranges: [compactRange(field, 0, Math.min(query.compact.length, field.compact.length))],
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Best match for one query word among a field's words
+ */
+function matchToken(field, queryToken) {
+  let best = null;
+
+  field.tokens.forEach(token => {
+    let candidate = null;
+
+    if (token.value.startsWith(queryToken)) {
+      candidate = { score: 1, range: [token.start, token.start + queryToken.length] };
+    } else if (queryToken.length >= 3 && token.value.includes(queryToken)) {
+      const offset = token.value.indexOf(queryToken);
+      candidate = { score: 0.85, range: [token.start + offset, token.start + offset + queryToken.length] };
+    } else {
+      const allowed = allowedEdits(queryToken.length);
+      if (allowed > 0) {
+        // Compare against the whole word and against a same-length prefix (partly typed words)
+        const distance = Math.min(
+          editDistance(queryToken, token.value),
+          editDistance(queryToken, token.value.slice(0, queryToken.length))
+        );
+        if (distance <= allowed) {
+          candidate = { score: 0.75 - 0.1 * distance, range: [token.start, token.end] };
+        }
+      }
+    }
+
+    if (candidate && (!best || candidate.score > best.score)) best = candidate;
+  });
+
+  return best;
+}
+
+/**
+ * Sort [start, end) ranges and merge any that overlap
+ */
+export function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+
+  sorted.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  });
+
+  return merged;
+}
+
+function scoreCentre(entry, query) {
+  // Whole-query matches
+  const nameCompact = matchCompact(entry.name, query);
+  const addressCompact = matchCompact(entry.address, query);
+
+  // Word-by-word matches; each word may match the name or the address
+  let tokenTotal = 0;
+  const tokenRanges = { name: [], address: [] };
+  const allTokensMatched = query.tokens.every(queryToken => {
+    const inName = matchToken(entry.name, queryToken);
+    const inAddress = matchToken(entry.address, queryToken);
+    const addressScore = inAddress ? inAddress.score * ADDRESS_WEIGHT : 0;
+
+    if (inName && inName.score >= addressScore) {
+      tokenTotal += inName.score;
+      tokenRanges.name.push(inName.range);
+      return true;
+    }
+    if (inAddress) {
+      tokenTotal += addressScore;
+      tokenRanges.address.push(inAddress.range);
+      return true;
+    }
+    return false;
+  });
+
+  const candidates = [];
+  if (nameCompact) {
+    candidates.push({ score: nameCompact.score, matches: { name: nameCompact.ranges, address: [] } });
+  }
+  if (addressCompact) {
+    candidates.push({
+      score: addressCompact.score * ADDRESS_WEIGHT,
+      matches: { name: [], address: addressCompact.ranges },
+    });
+  }
+  if (allTokensMatched && query.tokens.length > 0) {
+    candidates.push({ score: tokenTotal / query.tokens.length, matches: tokenRanges });
+  }
+
+  if (candidates.length === 0) return null;
+
+  const best = candidates.reduce((a, b) => (b.score > a.score ? b : a));
+  return {
+    score: best.score,
+    matches: { name: mergeRanges(best.matches.name), address: mergeRanges(best.matches.address) },
+  };
+}
+
+/**
+ * Build a search index over centre names and addresses.
+ *
+ * index.search(query) → [{ centre, score, matches: { name, address } }], best first;
+ *   `matches` are [start, end) ranges in centre.name / centre.address to highlight.
+ * index.suggest(query) → closest centres by name, for "did you mean" when search finds nothing.
+ */
+export function createCentreSearchIndex(centres) {
+  const entries = centres.map(centre => ({
+    centre,
+    name: buildField(centre.name),
+    address: buildField(centre.address),
+  }));
+
+  const search = (query, { limit = Infinity } = {}) => {
+    const parsed = parseQuery(query);
+    if (parsed.tokens.length === 0) return [];
+
+    return entries
+      .map(entry => {
+        const result = scoreCentre(entry, parsed);
+        return result && result.score >= MIN_SCORE ? { centre: entry.centre, ...result } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score || a.centre.name.localeCompare(b.centre.name))
+      .slice(0, limit);
+  };
+
+  const suggest = (query, { limit = 3 } = {}) => {
+    const parsed = parseQuery(query);
+    if (!parsed.compact) return [];
+
+    return entries
+      .map(entry => {
+        // Compare against the whole name and each single word of it
+        const scores = [
+          similarity(parsed.compact, entry.name.compact),
+          similarity(parsed.compact, entry.name.compact.slice(0, parsed.compact.length)),
+          ...entry.name.tokens.map(token => similarity(parsed.compact, token.value)),
+        ];
+        return { centre: entry.centre, score: Math.max(...scores) };
+      })
+      .filter(({ score }) => score >= MIN_SUGGESTION_SIMILARITY)
+      .sort((a, b) => b.score - a.score || a.centre.name.localeCompare(b.centre.name))
+      .slice(0, limit);
+  };
+
+  return { search, suggest };
+}
+
+/**
+ * Ranges of `text` that match `query`, for highlighting a single string
+ */
+export function getHighlightRanges(text, query) {
+  const result = scoreCentre(
+    { name: buildField(text), address: buildField('') },
+    parseQuery(query)
+  );
+  return result ? result.matches.name : [];
+}
@@ -0,0 +1,74 @@
+/**
+ * Read centre data from the Supabase `centres` and `offerings` tables
+ * (see supabase-schema.sql and scripts/import-centres.js).
+ */
+import { supabase } from './supabaseClient';
+import { centresIndexFromRows } from './dataLoader';
+
+// PostgREST caps responses (1000 rows by default), so read in pages
+const PAGE_SIZE = 1000;
+
+async function fetchAllRows(table, columns, filter) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await filter(supabase.from(table).select(columns))
+      .order('position', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw new Error(`Failed to load ${table}: ${error.message}`);
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Fetch the centres and offerings of some regions and build the same index as
+ * the precompiled JSON
+ */
+export async function fetchCentresIndexFromDatabase(regionIds) {
+  const [centreRows, offeringRows] = await Promise.all([
+    fetchAllRows(
+      'centres',
+      'centre_id, region, name, brand, branch, address, postal_code, lat, lng, website_url, whatsapp_number, ' +
+        'contact_type, position',
+      query => query.in('region', regionIds)
+    ),
+    // Offerings are filtered through their centre's region
+    fetchAllRows(
+      'offerings',
+      'centre_id, level, subject, streams, notes, fee_amount, fee_unit, fee_monthly, lessons_per_month, ' +
+        'lesson_slots, class_size, position, centres!inner(region)',
+      query => query.in('centres.region', regionIds)
+    ),
+  ]);
+
+  if (centreRows.length === 0) {
+    throw new Error('The centres table is empty; run npm run import:data');
+  }
+
+  return centresIndexFromRows(centreRows, offeringRows);
+}
+
+// Row count and latest update of a table: the importer stamps updated_at on
+// every row it writes and pruning lowers the count
+async function fetchTableVersion(table, columns, filter) {
+  const { data, count, error } = await filter(supabase.from(table).select(columns, { count: 'exact' }))
+    .order('updated_at', { ascending: false })
+    .limit(1);
+
+  if (error) throw new Error(`Failed to check ${table}: ${error.message}`);
+  return `${count}@${data.length > 0 ? data[0].updated_at : ''}`;
+}
+
+/**
+ * Version of some regions' centres and offerings, which changes with every
+ * import that touches them; a cheap check before fetching the whole index
+ */
+export async function fetchCentresVersionFromDatabase(regionIds) {
+  const versions = await Promise.all([
+    fetchTableVersion('centres', 'updated_at', query => query.in('region', regionIds)),
+    fetchTableVersion('offerings', 'updated_at, centres!inner(region)', query => query.in('centres.region', regionIds)),
+  ]);
+  return versions.join('/');
+}
@@ -0,0 +1,157 @@
+/**
+ * Shared centres data store
+ * The landing and results pages read centres through here, so moving between
+ * them (or coming back another day) doesn't fetch and rebuild the data again:
+ * - each region's centres are kept in memory for the session
+ * - a copy of the index is kept in IndexedDB (persistentCache.js), so a
+ *   returning visit renders from it straight away
+ * - the copy is revalidated once per session in the background
+ *   (fetchCentresIndexIfChanged) and replaced if the data changed; pages
+ *   re-render with the new centres
+ * Downloading and indexing run in a Web Worker (centresWorker.js), reporting
+ * progress for the loading screens.
+ */
+import { useEffect, useState, useSyncExternalStore } from 'react';
+import { ALL_REGIONS_ID, expandRegion } from './regions';
+import { runCentresTask } from './centresWorkerClient';
+
+// Region id → { version, centres }
+const regions = new Map();
+// Region id → latest progress event ({ stage, loaded, total }) until it is loaded
+const progress = new Map();
+// Region id → promise of its first load
+const loading = new Map();
+// Regions being checked for updates, and already checked this session
+const revalidating = new Set();
+const revalidated = new Set();
+const listeners = new Set();
+
+// Combined "all regions" list, rebuilt only when one of its regions changes
+let allRegions = { parts: [], centres: null };
+
+function notify() {
+  listeners.forEach(listener => listener());
+}
+
+function setRegion(regionId, version, centres) {
+  regions.set(regionId, { version, centres });
+  progress.delete(regionId);
+  notify();
+}
+
+// Progress only matters while a region has nothing to show yet
+function progressReporter(regionId) {
+  return (event) => {
+    if (regions.has(regionId)) return;
+    progress.set(regionId, event);
+    notify();
+  };
+}
+
+// Fetch the data if it changed since the copy we hold, and keep it
+async function refreshRegion(regionId) {
+  const cached = regions.get(regionId);
+  const { version, centres } = await runCentresTask(
+    { type: 'load', regionId, cachedVersion: cached ? cached.version : null },
+    progressReporter(regionId)
+  );
+  revalidated.add(regionId);
+  if (centres) setRegion(regionId, version, centres);
+}
+
+function revalidateRegion(regionId) {
+  if (revalidated.has(regionId) || revalidating.has(regionId)) return;
+
+  revalidating.add(regionId);
+  refreshRegion(regionId)
+    .catch(err => console.warn(`Failed to check for updated centres (${regionId}):`, err))
+    .finally(() => revalidating.delete(regionId));
+}
+
+async function loadRegion(regionId) {
+  const stored = await runCentresTask({ type: 'restore', regionId }, progressReporter(regionId));
+  if (stored && !regions.has(regionId)) {
+    setRegion(regionId, stored.version, stored.centres);
+  }
+
+  if (regions.has(regionId)) {
+    revalidateRegion(regionId);
+  } else {
+    await refreshRegion(regionId);
+  }
+}
+
+/**
+ * Load a region's centres ('all' for every region) into the store: from
+ * memory, else the stored copy, else the network. Resolves once they are
+ * available; a background check for updates may still be running.
+ */
+export function loadCentres(regionId) {
+  return Promise.all(expandRegion(regionId).map(id => {
+    if (regions.has(id)) {
+      revalidateRegion(id);
+      return null;
+    }
+    if (!loading.has(id)) {
+      loading.set(id, loadRegion(id).finally(() => {
+        loading.delete(id);
+        if (progress.delete(id)) notify();
+      }));
+    }
+    return loading.get(id);
+  }));
+}
+
+/**
+ * Centres of a region held in memory, or null if not loaded yet. The same array
+ * is returned until the data changes.
+ */
+export function getCentres(regionId) {
+  if (regionId !== ALL_REGIONS_ID) {
+    const region = regions.get(regionId);
+    return region ? region.centres : null;
+  }
+
+  const parts = expandRegion(regionId).map(id => getCentres(id));
+  if (parts.some(part => part === null)) return null;
+  if (parts.some((part, index) => part !== allRegions.parts[index])) {
+    allRegions = { parts, centres: parts.flat() };
+  }
+  return allRegions.centres;
+}
+
+/**
+ * Progress ({ stage: 'checking' | 'downloading' | 'indexing', loaded, total })
+ * of a region that is still loading, or null
+ */
+export function getLoadProgress(regionId) {
+  const loadingIds = expandRegion(regionId).filter(id => progress.has(id));
+  return loadingIds.length > 0 ? progress.get(loadingIds[0]) : null;
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * A region's centres for a page: { centres, loading, progress, error }.
+ * centres is null until loaded and is replaced when a newer version arrives;
+ * progress is the latest getLoadProgress event while loading.
+ */
+export function useCentres(regionId) {
+  const centres = useSyncExternalStore(subscribe, () => getCentres(regionId));
+  const loadProgress = useSyncExternalStore(subscribe, () => getLoadProgress(regionId));
+  // Kept with its region, so switching region doesn't show the old failure
+  const [failure, setFailure] = useState(null);
+  const error = failure && failure.regionId === regionId ? failure.error : null;
+
+  useEffect(() => {
+    loadCentres(regionId).catch(err => {
+      console.error('Failed to load data:', err);
+      setFailure({ regionId, error: err });
+    });
+  }, [regionId]);
+
+  return { centres, loading: centres === null && !error, progress: loadProgress, error };
+}
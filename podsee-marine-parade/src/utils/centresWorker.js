@@ -0,0 +1,52 @@
+/**
+ * Centre data tasks, run in a Web Worker (see centresWorkerClient.js) so that
+ * downloading, parsing and indexing a region's data doesn't freeze the page:
+ * - restore: the region's copy kept in IndexedDB, or null
+ * - load: the region's data if it changed since `cachedVersion` (see
+ *   fetchCentresIndexIfChanged), also kept in IndexedDB
+ * Both resolve to { version, centres } with centres in the shape of
+ * hydrateCentresIndex (null when unchanged).
+ */
+import { CENTRES_INDEX_VERSION, fetchCentresIndexIfChanged, hydrateCentresIndex } from './dataLoader';
+import { readCache, writeCache } from './persistentCache';
+
+function cacheKey(regionId) {
+  return `centres:${regionId}`;
+}
+
+async function restoreRegion(regionId, onProgress) {
+  const stored = await readCache(cacheKey(regionId));
+  // The stored shape changes with the index version; older copies are ignored
+  if (!stored || stored.indexVersion !== CENTRES_INDEX_VERSION) return null;
+
+  onProgress({ stage: 'indexing', loaded: 0, total: null });
+  return { version: stored.version, centres: hydrateCentresIndex(stored.index) };
+}
+
+async function loadRegion(regionId, cachedVersion, onProgress) {
+  const { version, index } = await fetchCentresIndexIfChanged(regionId, cachedVersion, onProgress);
+  if (!index) return { version, centres: null };
+
+  onProgress({ stage: 'indexing', loaded: 0, total: null });
+  await writeCache(cacheKey(regionId), { indexVersion: CENTRES_INDEX_VERSION, version, index });
+  return { version, centres: hydrateCentresIndex(index) };
+}
+
+/**
+ * Run a task ({ type: 'restore' | 'load', regionId, cachedVersion }) in the
+ * current thread; `onProgress` receives { stage, loaded, total } events
+ */
+export function runCentresTask({ type, regionId, cachedVersion = null }, onProgress = () => {}) {
+  if (type === 'restore') return restoreRegion(regionId, onProgress);
+  if (type === 'load') return loadRegion(regionId, cachedVersion, onProgress);
+  return Promise.reject(new Error(`Unknown centres task "${type}"`));
+}
+
+// Worker side: { id, task } in; { id, progress }, then { id, result } or { id, error } out
+if (globalThis.WorkerGlobalScope && self instanceof globalThis.WorkerGlobalScope) {
+  self.onmessage = ({ data: { id, task } }) => {
+    runCentresTask(task, progress => self.postMessage({ id, progress }))
+      .then(result => self.postMessage({ id, result }))
+      .catch(err => self.postMessage({ id, error: err.message }));
+  };
+}
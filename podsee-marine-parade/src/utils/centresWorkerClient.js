@@ -0,0 +1,67 @@
+/**
+ * Main-thread side of centresWorker.js: the same runCentresTask API, answered
+ * by one shared Web Worker. Falls back to running the task in this thread
+ * when workers aren't available or the worker fails.
+ */
+
+let worker = null;
+let nextId = 0;
+// Message id → { task, onProgress, resolve, reject }
+const pending = new Map();
+
+async function runOnMainThread(task, onProgress) {
+  const { runCentresTask: runHere } = await import('./centresWorker.js');
+  return runHere(task, onProgress);
+}
+
+function getWorker() {
+  if (worker === null && typeof Worker !== 'undefined') {
+    try {
+      worker = new Worker(new URL('./centresWorker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = ({ data: { id, progress, result, error } }) => {
+        const request = pending.get(id);
+        if (!request) return;
+
+        if (progress) {
+          request.onProgress(progress);
+          return;
+        }
+        pending.delete(id);
+        if (error) request.reject(new Error(error));
+        else request.resolve(result);
+      };
+      // A worker that fails to load (or crashes) hands its tasks to the main thread
+      worker.onerror = (event) => {
+        console.error('Centres worker failed, loading on the main thread:', event.message);
+        worker.terminate();
+        worker = false;
+
+        const requests = [...pending.values()];
+        pending.clear();
+        requests.forEach(({ task, onProgress, resolve, reject }) => {
+          runOnMainThread(task, onProgress).then(resolve, reject);
+        });
+      };
+    } catch (err) {
+      console.warn('Centres worker unavailable, loading on the main thread:', err);
+      worker = false;
+    }
+  }
+  return worker || null;
+}
+
+/**
+ * Run a centres task in the worker (see runCentresTask in centresWorker.js)
+ * @returns {Promise<{ version: string, centres: Array|null }|null>}
+ */
+export async function runCentresTask(task, onProgress = () => {}) {
+  const centresWorker = getWorker();
+
+  if (!centresWorker) return runOnMainThread(task, onProgress);
+
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    pending.set(id, { task, onProgress, resolve, reject });
+    centresWorker.postMessage({ id, task });
+  });
+}
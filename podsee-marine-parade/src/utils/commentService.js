@@ -1,4 +1,5 @@
 import { supabase, supabaseAdmin } from './supabaseClient';
+import { expandStream } from './taxonomy';
 
 /**
  * Sanitize text to prevent XSS attacks
@@ -68,8 +69,9 @@ function validateComment(text, username) {
  * @param {number} offset - Offset for pagination
  * @param {string|null} level - Optional level filter (null for general comments)
  * @param {string|null} subject - Optional subject filter (null for general comments)
+ * @param {string|null} stream - Optional stream / subject level filter (null for all streams)
  */
-export async function fetchComments(centreId, limit = 20, offset = 0, level = null, subject = null) {
+export async function fetchComments(centreId, limit = 20, offset = 0, level = null, subject = null, stream = null) {
   try {
     // If both level and subject are explicitly null or undefined, fetch general comments only
     // Otherwise, use context-aware RPC if available
@@ -83,7 +85,10 @@ export async function fetchComments(centreId, limit = 20, offset = 0, level = nu
           p_level: level,
           p_subject: subject,
           p_limit: limit,
-          p_offset: offset
+          p_offset: offset,
+          // Only sent when filtering by stream so older backends keep working;
+          // equivalent streams (e.g. G3 / Express) count as the same class
+          ...(stream ? { p_streams: expandStream(stream) } : {})
         });
 
       if (error) {
@@ -123,6 +128,46 @@ async function fetchCommentsBasic(centreId, limit = 20, offset = 0) {
   }
 }
 
+/**
+ * Fetch top-level comments across several centres (every branch of a brand),
+ * oldest first, with the same context filtering as fetchComments.
+ * Each comment keeps the `centre_id` of the branch it was written for.
+ * @param {string[]} centreIds - Ids of the branches
+ */
+export async function fetchBrandComments(centreIds, limit = 20, offset = 0, level = null, subject = null, stream = null) {
+  try {
+    const { data, error } = await supabase
+      .rpc('get_comments_with_reply_count_for_centres', {
+        p_centre_ids: centreIds,
+        p_level: level,
+        p_subject: subject,
+        p_limit: limit,
+        p_offset: offset,
+        p_streams: stream ? expandStream(stream) : null
+      });
+
+    if (error) {
+      // Fallback for backends without the multi-centre RPC: merge each branch's page
+      console.warn('Multi-centre RPC not available, merging branch comments');
+      const results = await Promise.all(
+        centreIds.map(centreId => fetchComments(centreId, offset + limit, 0, level, subject, stream))
+      );
+      const failed = results.find(result => result.error);
+      if (failed) return { data: [], error: failed.error };
+
+      const merged = results
+        .flatMap(result => result.data)
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+      return { data: merged.slice(offset, offset + limit), error: null };
+    }
+
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error fetching brand comments:', error);
+    return { data: [], error: error.message };
+  }
+}
+
 /**
  * Fetch replies for a parent comment
  */
@@ -173,8 +218,9 @@ export async function getReplyCount(parentCommentId) {
  * @param {string|null} parentCommentId - Parent comment ID for replies
  * @param {string|null} level - Level (for top-level comments only, NULL for general)
  * @param {string|null} subject - Subject (for top-level comments only, NULL for general)
+ * @param {string|null} stream - Stream / subject level (for top-level comments only, NULL if not applicable)
  */
-export async function createComment(centreId, username, text, parentCommentId = null, level = null, subject = null) {
+export async function createComment(centreId, username, text, parentCommentId = null, level = null, subject = null, stream = null) {
   try {
     // Sanitize inputs
     const sanitizedText = sanitizeText(text);
@@ -186,15 +232,16 @@ export async function createComment(centreId, username, text, parentCommentId =
       return { data: null, error: errors.join('. ') };
     }
 
-    // Variables to store final level/subject
+    // Variables to store final level/subject/stream
     let finalLevel = level;
     let finalSubject = subject;
+    let finalStream = stream;
 
     // If this is a reply, verify parent is a top-level comment and inherit its context
     if (parentCommentId) {
       const { data: parentComment, error: parentError } = await supabase
         .from('comments')
-        .select('parent_comment_id, level, subject')
+        .select('*')
         .eq('comment_id', parentCommentId)
         .single();
 
@@ -206,9 +253,10 @@ export async function createComment(centreId, username, text, parentCommentId =
         return { data: null, error: 'Cannot reply to a reply. Only top-level comments can be replied to.' };
       }
 
-      // Inherit parent's level and subject for replies
+      // Inherit parent's level, subject and stream for replies
       finalLevel = parentComment.level;
       finalSubject = parentComment.subject;
+      finalStream = parentComment.stream ?? null;
     }
 
     // Insert comment
@@ -221,6 +269,8 @@ export async function createComment(centreId, username, text, parentCommentId =
         parent_comment_id: parentCommentId,
         level: finalLevel,
         subject: finalSubject,
+        // Only sent when set so backends without the stream column keep working
+        ...(finalStream ? { stream: finalStream } : {}),
         hidden: false
       })
       .select()
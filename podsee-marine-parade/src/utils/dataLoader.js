@@ -1,93 +1,89 @@
-import * as XLSX from 'xlsx';
-
-// Subject normalization mapping
-const SUBJECT_NORMALIZATION = {
-  'Math': 'Mathematics',
-  'Mathematics': 'Mathematics',
-  'POA': 'POA',
-  'Principle of Accounts (POA)': 'POA',
-};
-
-// Level normalization - ignore J1/J2
-const LEVEL_NORMALIZATION = {
-  'J1': null, // Ignore
-  'J2': null, // Ignore
-};
-
-// Curated subject order
-const SUBJECT_ORDER = [
-  'Biology',
-  'Chemistry',
-  'Physics',
-  'Science',
-  'Mathematics',
-  'Higher Chinese',
-  'Chinese',
-  'English',
-  'Economics',
-  'History',
-  'Social Studies',
-  'Literature',
-  'Geography',
-  'General Paper',
-  'POA',
-  'Malay',
-  'English Language & Linguistics',
-  'English Language & Literature',
-  'China Studies in English',
-];
-
-// Level order
-const LEVEL_ORDER = [
-  'P1', 'P2', 'P3', 'P4', 'P5', 'P6',
-  'S1', 'S2', 'S3', 'S4', 'S5',
-  'JC1', 'JC2',
-  'IB', 'Y5 (IB)', 'Y6 (IB)',
-];
-
-export function normalizeSubject(subject) {
-  return SUBJECT_NORMALIZATION[subject] || subject;
-}
-
-export function normalizeLevel(level) {
-  if (LEVEL_NORMALIZATION[level] === null) return null;
-  return LEVEL_NORMALIZATION[level] || level;
-}
-
-export async function loadCentresData() {
-  const response = await fetch('/database_ready_final (Marine Parade).xlsx');
-  const arrayBuffer = await response.arrayBuffer();
-  const workbook = XLSX.read(arrayBuffer, { type: 'array' });
-
-  // Parse centres sheet
-  const centresSheet = workbook.Sheets['centres'];
-  const centresRaw = XLSX.utils.sheet_to_json(centresSheet);
-
-  // Parse offerings sheet
-  const offeringsSheet = workbook.Sheets['offerings'];
-  const offeringsRaw = XLSX.utils.sheet_to_json(offeringsSheet);
-
-  // Build centres map
-  const centresMap = new Map();
+import {
+  LEVEL_ORDER,
+  SUBJECT_ORDER,
+  getStreamsForLevel,
+  getVisibleSubjects,
+  normalizeLevel,
+  normalizeStreams,
+  normalizeSubject,
+  sortLevels,
+  sortStreams,
+  sortSubjects,
+  streamMatches,
+  subjectMatches,
+} from './taxonomy.js';
+import { resolveCentreId } from './centreIdGenerator.js';
+import { DEFAULT_REGION_ID, expandRegion } from './regions.js';
+import { getNearestStation } from './mrtStations.js';
+import {
+  getSlotOptions,
+  normaliseFee,
+  offeringDetailsMatch,
+  parseOfferingDetails,
+  slotFromText,
+  slotToText,
+} from './offeringDetails.js';
+
+// Bump when the shape of the precompiled index changes (see scripts/build-centres-index.js)
+export const CENTRES_INDEX_VERSION = 10;
+
+const CENTRES_MANIFEST_URL = '/data/centres-manifest.json';
+const CHANGELOG_URL = '/data/changelog.json';
+
+// Spreadsheet cells holding digits (postal codes, phone numbers) come through as numbers
+function toText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text || null;
+}
+
+/**
+ * Postal code cell as text. xlsx reads codes typed as numbers without their
+ * leading zero (018956 → 18956), so numbers are padded back to 6 digits;
+ * anything else is left for the validator to report.
+ */
+export function normalizePostalCode(value) {
+  const text = toText(value);
+  return typeof value === 'number' && text ? text.padStart(6, '0') : text;
+}
+
+/**
+ * Build the normalized centres index from raw `centres` and `offerings` sheet rows
+ * of one region's workbook.
+ * Runs at build time; offerings reference their centre by position in `centres`.
+ * `postalCodes` maps postal codes to { lat, lng } (data/postal-codes.csv); centres
+ * whose postal code isn't in it get no location.
+ */
+export function buildCentresIndex(centresRaw, offeringsRaw, regionId = DEFAULT_REGION_ID, postalCodes = new Map()) {
+  const centres = [];
+  const centreIndexByName = new Map();
 
   centresRaw.forEach(centre => {
-    centresMap.set(centre.centre_name, {
+    const postalCode = normalizePostalCode(centre.postal_code);
+    centreIndexByName.set(centre.centre_name, centres.length);
+    centres.push({
+      // Stable id that comments are stored against (see centreIdGenerator.js)
+      id: resolveCentreId(centre),
+      region: regionId,
       name: centre.centre_name,
+      // Chain centres: the brand they belong to and which branch this is
+      brand: toText(centre.brand),
+      branch: toText(centre.branch_name),
       address: centre.address,
-      postalCode: centre.postal_code,
+      postalCode,
+      // { lat, lng } of the postal code, used for distances without geocoding
+      location: (postalCode && postalCodes.get(postalCode)) || null,
       websiteUrl: centre.website_url,
-      whatsappNumber: centre.whatsapp_number,
+      whatsappNumber: toText(centre.whatsapp_number),
       contactType: centre['Whatsapp/Call'],
-      levels: new Set(),
-      subjects: new Set(),
-      offerings: [], // Store all offerings
     });
   });
 
-  // Process offerings and aggregate data
+  const offerings = [];
+
   offeringsRaw.forEach(offering => {
-    const centre = centresMap.get(offering.centre_name);
-    if (!centre) return;
+    const centreIndex = centreIndexByName.get(offering.centre_name);
+    if (centreIndex === undefined) return;
 
     const normalizedLevel = normalizeLevel(offering.level);
     const normalizedSubject = normalizeSubject(offering.subject);
@@ -95,29 +91,287 @@ export async function loadCentresData() {
     // Skip ignored levels (J1/J2)
     if (normalizedLevel === null) return;
 
-    if (normalizedLevel) centre.levels.add(normalizedLevel);
-    if (normalizedSubject) centre.subjects.add(normalizedSubject);
-
-    // Store the offering with its notes
-    centre.offerings.push({
+    offerings.push({
+      centre: centreIndex,
       level: normalizedLevel,
       subject: normalizedSubject,
+      // Optional stream / subject level (G1-G3, Express/NA/NT, H1-H3); empty = all
+      streams: normalizeStreams(offering.stream),
       notes: offering.notes || null,
+      // Optional fee, lesson slots and class size (see offeringDetails.js); invalid
+      // values are reported by validate:data and left out
+      ...parseOfferingDetails(offering).details,
     });
   });
 
+  const index = { centres, offerings };
+  return { ...index, ...getFilterOptions(hydrateCentresIndex(index)) };
+}
+
+/**
+ * Expand a centres index into the per-centre shape used by the pages
+ * (levels, subjects and offerings aggregated onto each centre, and the
+ * nearest MRT station of located centres).
+ */
+export function hydrateCentresIndex(index) {
+  const centres = index.centres.map(centre => ({
+    ...centre,
+    nearestMrt: getNearestStation(centre.location),
+    levels: new Set(),
+    subjects: new Set(),
+    offerings: [], // Store all offerings
+  }));
+
+  index.offerings.forEach(({ centre: centreIndex, ...offering }) => {
+    const centre = centres[centreIndex];
+    if (!centre) return;
+
+    if (offering.level) centre.levels.add(offering.level);
+    if (offering.subject) centre.subjects.add(offering.subject);
+    centre.offerings.push(offering);
+  });
+
   // Convert sets to sorted arrays
-  const centres = Array.from(centresMap.values()).map(centre => ({
+  return centres.map(centre => ({
     ...centre,
-    levels: Array.from(centre.levels).sort((a, b) => 
-      LEVEL_ORDER.indexOf(a) - LEVEL_ORDER.indexOf(b)
-    ),
-    subjects: Array.from(centre.subjects).sort((a, b) => 
-      SUBJECT_ORDER.indexOf(a) - SUBJECT_ORDER.indexOf(b)
-    ),
+    levels: sortLevels(centre.levels),
+    subjects: sortSubjects(centre.subjects),
   }));
+}
+
+/**
+ * Flatten a centres index into `centres` / `offerings` table rows
+ * (see supabase-schema.sql). Repeated offerings keep their first row.
+ */
+export function centresIndexToRows(index) {
+  const centres = index.centres.map((centre, position) => ({
+    centre_id: centre.id,
+    region: centre.region,
+    name: centre.name,
+    brand: centre.brand ?? null,
+    branch: centre.branch ?? null,
+    address: centre.address ?? null,
+    postal_code: centre.postalCode,
+    lat: centre.location ? centre.location.lat : null,
+    lng: centre.location ? centre.location.lng : null,
+    website_url: centre.websiteUrl ?? null,
+    whatsapp_number: centre.whatsappNumber,
+    contact_type: centre.contactType ?? null,
+    position,
+  }));
+
+  const offerings = [];
+  const seen = new Set();
+
+  index.offerings.forEach(offering => {
+    const row = {
+      centre_id: index.centres[offering.centre].id,
+      level: offering.level,
+      subject: offering.subject,
+      streams: offering.streams,
+      notes: offering.notes,
+      fee_amount: offering.fee ? offering.fee.amount : null,
+      fee_unit: offering.fee ? offering.fee.unit : null,
+      // Normalised from the fee, stored for querying
+      fee_monthly: offering.feeMonthly,
+      lessons_per_month: offering.lessonsPerMonth,
+      lesson_slots: offering.slots.length > 0 ? offering.slots.map(slotToText) : null,
+      class_size: offering.classSize,
+      position: offerings.length,
+    };
+
+    const key = getOfferingRowKey(row);
+    if (seen.has(key)) return;
+    seen.add(key);
+    offerings.push(row);
+  });
 
-  return centres;
+  return { centres, offerings };
+}
+
+/**
+ * Primary key of an `offerings` row
+ */
+export function getOfferingRowKey(row) {
+  return [row.centre_id, row.level, row.subject, (row.streams || []).join('/')].join('|');
+}
+
+/**
+ * Rebuild a centres index from `centres` / `offerings` table rows
+ */
+export function centresIndexFromRows(centreRows, offeringRows) {
+  const byPosition = (a, b) => a.position - b.position;
+  const centreIndexById = new Map();
+
+  const centres = [...centreRows].sort(byPosition).map((row, index) => {
+    centreIndexById.set(row.centre_id, index);
+    return {
+      id: row.centre_id,
+      region: row.region,
+      name: row.name,
+      brand: row.brand,
+      branch: row.branch,
+      address: row.address,
+      postalCode: row.postal_code,
+      location: row.lat == null || row.lng == null ? null : { lat: Number(row.lat), lng: Number(row.lng) },
+      websiteUrl: row.website_url,
+      whatsappNumber: row.whatsapp_number,
+      contactType: row.contact_type,
+    };
+  });
+
+  const offerings = [...offeringRows]
+    .sort(byPosition)
+    .filter(row => centreIndexById.has(row.centre_id))
+    .map(row => {
+      const offering = {
+        centre: centreIndexById.get(row.centre_id),
+        level: row.level,
+        subject: row.subject,
+        streams: row.streams || [],
+        notes: row.notes,
+        fee: row.fee_amount == null ? null : { amount: Number(row.fee_amount), unit: row.fee_unit },
+        lessonsPerMonth: row.lessons_per_month ?? null,
+        slots: (row.lesson_slots || []).map(slotFromText),
+        classSize: row.class_size ?? null,
+      };
+      return { ...offering, ...normaliseFee(offering) };
+    });
+
+  const index = { centres, offerings };
+  return { ...index, ...getFilterOptions(hydrateCentresIndex(index)) };
+}
+
+/**
+ * Fetch the precompiled indexes' manifest ({ version, regions: { id: { hash, file } } }).
+ * It is always revalidated; the hashed index files it points to are immutable.
+ */
+async function loadCentresManifest() {
+  const response = await fetch(CENTRES_MANIFEST_URL, { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`Failed to load centres manifest (${response.status})`);
+  }
+  const manifest = await response.json();
+
+  if (manifest.version !== CENTRES_INDEX_VERSION) {
+    throw new Error(`Unsupported centres index version ${manifest.version}`);
+  }
+  return manifest;
+}
+
+// Read a response body as text, reporting the bytes received so far. The
+// total is unknown when compressed: content-length counts the compressed bytes.
+async function readWithProgress(response, onProgress) {
+  if (!response.body) return response.text();
+  const total = response.headers.get('content-encoding')
+    ? null
+    : Number(response.headers.get('content-length')) || null;
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  let loaded = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    loaded += value.length;
+    text += decoder.decode(value, { stream: true });
+    onProgress({ stage: 'downloading', loaded, total });
+  }
+  return text + decoder.decode();
+}
+
+/**
+ * Fetch a region's precompiled centres index, unless `cachedVersion` is still
+ * current: the index file's content hash works as its ETag.
+ * @returns {Promise<{ version: string, index: Object|null }>} index is null when unchanged
+ */
+async function loadCentresIndex(regionId, cachedVersion, onProgress) {
+  const entry = (await loadCentresManifest()).regions[regionId];
+  if (!entry) {
+    throw new Error(`No centres index for region "${regionId}"`);
+  }
+
+  const version = `static:${entry.hash}`;
+  if (version === cachedVersion) return { version, index: null };
+
+  onProgress({ stage: 'downloading', loaded: 0, total: null });
+  const response = await fetch(`/data/${entry.file}`);
+  if (!response.ok) {
+    throw new Error(`Failed to load centres index (${response.status})`);
+  }
+  return { version, index: JSON.parse(await readWithProgress(response, onProgress)) };
+}
+
+/**
+ * Fetch the bundled postal code table built from data/postal-codes.csv and
+ * data/home-postal-codes.csv:
+ * [{ postalCode, lat, lng, block, street, building }]
+ */
+export async function loadPostalCodes() {
+  const { postalCodes } = await loadCentresManifest();
+  if (!postalCodes) return [];
+
+  const response = await fetch(`/data/${postalCodes.file}`);
+  if (!response.ok) {
+    throw new Error(`Failed to load postal codes (${response.status})`);
+  }
+  return (await response.json()).codes;
+}
+
+/**
+ * Fetch the dataset changelog (newest entry first), built by scripts/diff-workbooks.js
+ */
+export async function loadChangelog() {
+  const response = await fetch(CHANGELOG_URL, { cache: 'no-cache' });
+  if (response.status === 404) return [];
+  if (!response.ok) {
+    throw new Error(`Failed to load changelog (${response.status})`);
+  }
+  return response.json();
+}
+
+/**
+ * Fetch one region's centres index from the precompiled index (the default),
+ * or from the database with VITE_CENTRES_SOURCE=database, falling back to the
+ * precompiled index if that fails. The database is opt-in so deploys without
+ * the centres/offerings tables don't pay for failing requests on every load.
+ *
+ * Works like a conditional request: each source reports a version that
+ * changes with the data, and the index is only downloaded when it differs from
+ * `cachedVersion` (see centresStore.js).
+ *
+ * `onProgress` is called with { stage: 'checking' | 'downloading', loaded, total }
+ * (byte counts, when known) as the load goes on.
+ * @returns {Promise<{ version: string, index: Object|null }>} index is null when unchanged
+ */
+export async function fetchCentresIndexIfChanged(regionId, cachedVersion = null, onProgress = () => {}) {
+  onProgress({ stage: 'checking', loaded: 0, total: null });
+
+  if (import.meta.env.VITE_CENTRES_SOURCE === 'database') {
+    try {
+      // Loaded lazily: the build scripts import this module under Node
+      const { fetchCentresIndexFromDatabase, fetchCentresVersionFromDatabase } = await import('./centresDatabase.js');
+      const version = `database:${await fetchCentresVersionFromDatabase([regionId])}`;
+      if (version === cachedVersion) return { version, index: null };
+      onProgress({ stage: 'downloading', loaded: 0, total: null });
+      return { version, index: await fetchCentresIndexFromDatabase([regionId]) };
+    } catch (err) {
+      console.error('Failed to load centres from the database, using the bundled index:', err);
+    }
+  }
+
+  return loadCentresIndex(regionId, cachedVersion, onProgress);
+}
+
+/**
+ * Load a region's centres ('all' for every region) without any caching; pages
+ * go through centresStore.js instead. Each centre carries its `region`.
+ */
+export async function loadCentresData(regionId = DEFAULT_REGION_ID) {
+  const results = await Promise.all(expandRegion(regionId).map(id => fetchCentresIndexIfChanged(id)));
+  return results.flatMap(({ index }) => hydrateCentresIndex(index));
 }
 
 export function getFilterOptions(centres) {
@@ -135,93 +389,170 @@ export function getFilterOptions(centres) {
   };
 }
 
-export function getSubjectsForLevel(level, centres) {
-  if (!level) return [];
-
-  const subjectsForLevel = new Set();
+// Level/subject arguments accept a single value or a list (multi-select search)
+function toList(value) {
+  if (value === null || value === undefined || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
 
-  centres.forEach(centre => {
-    centre.offerings.forEach(offering => {
-      if (offering.level === level && offering.subject) {
-        subjectsForLevel.add(offering.subject);
-      }
+/**
+ * Streams explicitly listed by offerings at the given level(s), in taxonomy order.
+ * Empty when no centre distinguishes streams for those levels.
+ */
+export function getStreamsOfferedAtLevel(levels, centres) {
+  const streamsAtLevel = new Set();
+
+  toList(levels).forEach(level => {
+    const levelStreams = getStreamsForLevel(level);
+
+    centres.forEach(centre => {
+      centre.offerings.forEach(offering => {
+        if (offering.level !== level) return;
+        offering.streams.forEach(stream => {
+          if (levelStreams.includes(stream)) streamsAtLevel.add(stream);
+        });
+      });
     });
   });
 
-  // Business rule: Hide specialized sciences for S1 and S2
-  // Only "Science" should be available, not Biology/Chemistry/Physics
-  if (['S1', 'S2'].includes(level)) {
-    subjectsForLevel.delete('Biology');
-    subjectsForLevel.delete('Chemistry');
-    subjectsForLevel.delete('Physics');
-  }
+  return sortStreams(streamsAtLevel);
+}
 
-  // Filter SUBJECT_ORDER to only include subjects valid for this level
-  const orderedSubjects = SUBJECT_ORDER.filter(subject => subjectsForLevel.has(subject));
-  
-  // Append any subjects not in SUBJECT_ORDER at the end
-  const remainingSubjects = Array.from(subjectsForLevel).filter(
-    subject => !SUBJECT_ORDER.includes(subject)
-  );
+/**
+ * Subjects offered at the given level(s), after level visibility rules.
+ * With several levels, returns every subject offered at any of them.
+ */
+export function getSubjectsForLevel(levels, centres, stream = null) {
+  const subjects = new Set();
+
+  toList(levels).forEach(level => {
+    const subjectsForLevel = new Set();
+
+    centres.forEach(centre => {
+      centre.offerings.forEach(offering => {
+        if (offering.level === level && offering.subject && streamMatches(stream, offering.streams)) {
+          subjectsForLevel.add(offering.subject);
+        }
+      });
+    });
+
+    // Level visibility rules (e.g. no pure sciences at S1/S2) and umbrella subjects
+    getVisibleSubjects(level, subjectsForLevel).forEach(subject => subjects.add(subject));
+  });
 
-  return [...orderedSubjects, ...remainingSubjects];
+  return sortSubjects(subjects);
 }
 
-export function filterCentres(centres, selectedLevel, selectedSubject) {
-  return centres.filter(centre => {
-    // Check if centre has offerings that match the specific level+subject combination
-    const hasMatchingOffering = centre.offerings.some(offering => {
-      // Must match level
-      if (offering.level !== selectedLevel) return false;
+function offeringMatches(offering, levels, subjects, stream, details) {
+  return levels.includes(offering.level) &&
+    subjects.some(subject => subjectMatches(subject, offering.subject)) &&
+    streamMatches(stream, offering.streams) &&
+    offeringDetailsMatch(offering, details);
+}
 
-      // Science umbrella logic
-      if (selectedSubject === 'Science') {
-        const scienceSubjects = ['Science', 'Biology', 'Chemistry', 'Physics'];
-        return scienceSubjects.includes(offering.subject);
-      }
+function centreOffersCombination(centre, combination, stream, details) {
+  return centre.offerings.some(offering =>
+    offeringMatches(offering, [combination.level], [combination.subject], stream, details)
+  );
+}
 
-      // Exact subject match
-      return offering.subject === selectedSubject;
-    });
+/**
+ * Search centres by one or more levels and subjects.
+ *
+ * Every requested level × subject pair that some centre offers is a combination.
+ * match 'all' keeps centres covering every combination; 'any' keeps centres
+ * covering at least one. Results are ranked by combinations covered, then name,
+ * and carry `coverage: { covered, total }`.
+ *
+ * `details` ({ maxMonthlyFee, maxClassSize, days, times }, see
+ * offeringDetails.js) narrows the offerings that count as covering a combination.
+ */
+export function searchCentres(centres, { levels, subjects, stream = null, match = 'all', details = {} }) {
+  const levelList = toList(levels);
+  const subjectList = toList(subjects);
+
+  // Pairs nobody offers (e.g. P5 General Paper) shouldn't rule out every centre
+  const combinations = levelList
+    .flatMap(level => subjectList.map(subject => ({ level, subject })))
+    .filter(combination =>
+      centres.some(centre => centreOffersCombination(centre, combination, stream))
+    );
+
+  if (combinations.length === 0) return [];
+
+  return centres
+    .map(centre => {
+      const covered = combinations.filter(combination =>
+        centreOffersCombination(centre, combination, stream, details)
+      );
+      return { ...centre, coverage: { covered, total: combinations.length } };
+    })
+    .filter(({ coverage }) =>
+      match === 'any' ? coverage.covered.length > 0 : coverage.covered.length === coverage.total
+    )
+    .sort((a, b) =>
+      b.coverage.covered.length - a.coverage.covered.length || a.name.localeCompare(b.name)
+    );
+}
 
-    return hasMatchingOffering;
-  }).sort((a, b) => a.name.localeCompare(b.name));
+export function filterCentres(centres, selectedLevel, selectedSubject, selectedStream = null, match = 'all', details = {}) {
+  return searchCentres(centres, {
+    levels: selectedLevel,
+    subjects: selectedSubject,
+    stream: selectedStream,
+    match,
+    details,
+  });
 }
 
-export function getSubjectsForCentreAtLevel(centre, level) {
-  // Get unique subjects offered by this centre at the specified level
+export function getSubjectsForCentreAtLevel(centre, levels) {
+  // Get unique subjects offered by this centre at the specified level(s)
+  const levelList = toList(levels);
   const subjectsAtLevel = new Set();
   
   centre.offerings.forEach(offering => {
-    if (offering.level === level && offering.subject) {
+    if (levelList.includes(offering.level) && offering.subject) {
       subjectsAtLevel.add(offering.subject);
     }
   });
 
-  // Convert to array and sort by SUBJECT_ORDER
-  const orderedSubjects = SUBJECT_ORDER.filter(subject => subjectsAtLevel.has(subject));
-  const remainingSubjects = Array.from(subjectsAtLevel).filter(
-    subject => !SUBJECT_ORDER.includes(subject)
+  return sortSubjects(subjectsAtLevel);
+}
+
+/**
+ * A centre's offerings that match the selected level(s), subject(s), stream
+ * and detail filters
+ */
+export function getMatchingOfferings(centre, selectedLevels, selectedSubjects, selectedStream = null, details = {}) {
+  const levels = toList(selectedLevels);
+  const subjects = toList(selectedSubjects);
+
+  return centre.offerings.filter(offering =>
+    offeringMatches(offering, levels, subjects, selectedStream, details)
+  );
+}
+
+/**
+ * Detail filter choices worth offering for a set of centres: the lesson days
+ * and time windows of their slots, and whether any offering lists a fee, an
+ * hourly fee or a class size
+ */
+export function getOfferingDetailOptions(centres, selectedLevels, selectedSubjects, selectedStream = null) {
+  const offerings = centres.flatMap(centre =>
+    getMatchingOfferings(centre, selectedLevels, selectedSubjects, selectedStream)
   );
 
-  return [...orderedSubjects, ...remainingSubjects];
+  return {
+    ...getSlotOptions(offerings),
+    hasFees: offerings.some(offering => offering.fee),
+    hasHourlyFees: offerings.some(offering => offering.feePerHour != null),
+    hasClassSizes: offerings.some(offering => offering.classSize != null),
+  };
 }
 
-export function getMatchingNote(centre, selectedLevel, selectedSubject) {
+export function getMatchingNote(centre, selectedLevels, selectedSubjects, selectedStream = null) {
   // Filter offerings that match the search criteria
-  const matchingOfferings = centre.offerings.filter(offering => {
-    // Must match level
-    if (offering.level !== selectedLevel) return false;
-
-    // Science umbrella logic
-    if (selectedSubject === 'Science') {
-      const scienceSubjects = ['Science', 'Biology', 'Chemistry', 'Physics'];
-      return scienceSubjects.includes(offering.subject);
-    }
-
-    // Exact subject match
-    return offering.subject === selectedSubject;
-  });
+  const matchingOfferings = getMatchingOfferings(centre, selectedLevels, selectedSubjects, selectedStream);
 
   // Find first non-empty note from matching offerings
   const offeringWithNote = matchingOfferings.find(offering => offering.notes);
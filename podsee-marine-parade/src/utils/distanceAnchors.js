@@ -0,0 +1,58 @@
+/**
+ * What result distances are measured from: home (the parent's location), the
+ * child's school, or the detour a centre adds on the way home from school.
+ * `origins` is { home, school }, each a { lat, lng } or null.
+ */
+import { calculateDistance } from './geo.js';
+
+const between = (a, b) => calculateDistance(a.lat, a.lng, b.lat, b.lng);
+
+export const DISTANCE_ANCHORS = [
+  {
+    id: 'home',
+    label: 'Home',
+    needs: ['home'],
+    measure: ({ home }, location) => between(home, location),
+    format: distance => `${distance.toFixed(1)} km away`,
+  },
+  {
+    id: 'school',
+    label: 'School',
+    needs: ['school'],
+    measure: ({ school }, location) => between(school, location),
+    format: distance => `${distance.toFixed(1)} km from school`,
+  },
+  {
+    // Home → school → centre → home, less the plain school → home trip:
+    // 0 for a centre right on the way
+    id: 'detour',
+    label: 'Home → school → centre',
+    needs: ['home', 'school'],
+    measure: ({ home, school }, location) =>
+      Math.max(0, between(school, location) + between(location, home) - between(school, home)),
+    format: distance => `${distance.toFixed(1)} km detour`,
+  },
+];
+
+/**
+ * Anchors that can be measured with the origins set
+ */
+export function getAvailableAnchors(origins) {
+  return DISTANCE_ANCHORS.filter(anchor => anchor.needs.every(origin => origins[origin]));
+}
+
+/**
+ * Anchor from a `from` URL parameter when it can be measured, otherwise the
+ * first one that can (home before school); null with no origin set
+ */
+export function resolveDistanceAnchor(value, origins) {
+  const available = getAvailableAnchors(origins);
+  return available.find(anchor => anchor.id === value) || available[0] || null;
+}
+
+/**
+ * Distance in km of a centre location from an anchor
+ */
+export function getAnchorDistance(anchor, origins, location) {
+  return anchor.measure(origins, location);
+}
@@ -0,0 +1,47 @@
+/**
+ * Distance radius filter and distance bands for the results page
+ */
+
+// "Within n km" choices
+export const RADIUS_CHOICES_KM = [1, 2, 5];
+
+// Bands results are grouped into, nearest first
+export const DISTANCE_BANDS = [
+  { id: 'within-1', maxKm: 1, label: 'Within 1 km' },
+  { id: '1-2', maxKm: 2, label: '1–2 km' },
+  { id: '2-5', maxKm: 5, label: '2–5 km' },
+  { id: 'over-5', maxKm: Infinity, label: 'More than 5 km' },
+];
+
+// Centres whose distance isn't known (still being geocoded, or failed)
+const UNKNOWN_BAND = { id: 'unknown', maxKm: null, label: 'Distance not known' };
+
+/**
+ * Radius from a `radius` URL parameter, or null when it isn't one of the choices
+ */
+export function parseRadius(value) {
+  const radius = Number(value);
+  return RADIUS_CHOICES_KM.includes(radius) ? radius : null;
+}
+
+/**
+ * Band of a distance in km (undefined: the unknown band)
+ */
+export function getDistanceBand(distance) {
+  if (distance === undefined || distance === null) return UNKNOWN_BAND;
+  return DISTANCE_BANDS.find(band => distance <= band.maxKm);
+}
+
+/**
+ * Split ordered items into bands, nearest first, keeping their order within
+ * each band; empty bands are left out
+ * @returns {Array<{ band: Object, items: Array }>}
+ */
+export function groupByDistanceBand(items, getDistance) {
+  const itemsByBand = new Map([...DISTANCE_BANDS, UNKNOWN_BAND].map(band => [band, []]));
+  items.forEach(item => itemsByBand.get(getDistanceBand(getDistance(item))).push(item));
+
+  return [...itemsByBand]
+    .filter(([, bandItems]) => bandItems.length > 0)
+    .map(([band, bandItems]) => ({ band, items: bandItems }));
+}
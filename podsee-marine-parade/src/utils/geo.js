@@ -0,0 +1,55 @@
+/**
+ * Plain geometry helpers (distances, web map projection), safe to use from the
+ * build scripts and the worker
+ */
+
+/**
+ * Calculate distance between two points using Haversine formula
+ * Returns distance in kilometers
+ */
+export function calculateDistance(lat1, lng1, lat2, lng2) {
+  const R = 6371; // Earth's radius in kilometers
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  const distance = R * c;
+
+  return distance;
+}
+
+function toRad(degrees) {
+  return degrees * (Math.PI / 180);
+}
+
+// Web Mercator world size in pixels at zoom 0 (one 256px tile)
+const TILE_SIZE = 256;
+
+/**
+ * Web Mercator pixel position of a point at a zoom level, as on web map tiles
+ */
+export function projectToPixels(lat, lng, zoom) {
+  const scale = TILE_SIZE * Math.pow(2, zoom);
+  const sinLat = Math.sin(toRad(lat));
+  return {
+    x: ((lng + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale,
+  };
+}
+
+/**
+ * Inverse of projectToPixels
+ */
+export function pixelsToLatLng(x, y, zoom) {
+  const scale = TILE_SIZE * Math.pow(2, zoom);
+  const n = Math.PI - (2 * Math.PI * y) / scale;
+  return {
+    lat: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+    lng: (x / scale) * 360 - 180,
+  };
+}
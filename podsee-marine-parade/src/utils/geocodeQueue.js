@@ -0,0 +1,82 @@
+/**
+ * Batch geocoding for centres without bundled coordinates: a few lookups at a
+ * time, backing off exponentially while the provider is rate limiting
+ * (OVER_QUERY_LIMIT), cancellable through an AbortSignal
+ */
+import { geocodeCentre } from './locationService';
+
+// Lookups in flight at once
+export const GEOCODE_CONCURRENCY = 3;
+// Rate-limited lookups are retried after 0.5s, 1s, 2s, 4s
+const MAX_RATE_LIMIT_RETRIES = 4;
+const BACKOFF_BASE_MS = 500;
+
+function abortError() {
+  return new DOMException('Geocoding cancelled', 'AbortError');
+}
+
+// Wait, or reject as soon as the signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const handleAbort = () => {
+      clearTimeout(timeout);
+      reject(abortError());
+    };
+    const timeout = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', handleAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', handleAbort, { once: true });
+  });
+}
+
+async function geocodeWithBackoff(centre, geocode, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await geocode(centre);
+    } catch (error) {
+      if (error.code !== 'OVER_QUERY_LIMIT' || attempt >= MAX_RATE_LIMIT_RETRIES) throw error;
+      await sleep(BACKOFF_BASE_MS * 2 ** attempt, signal);
+    }
+  }
+}
+
+/**
+ * Geocode centres, GEOCODE_CONCURRENCY at a time.
+ * `onProgress({ done, total, locations, failed })` follows each centre, with
+ * the locations (Map centre id → { lat, lng }) and failures ({ centre, error }) so
+ * far. Resolves to { locations, failed }; once `signal` aborts, no more
+ * lookups start, progress stops and the promise rejects with an AbortError.
+ * `geocode` defaults to locationService's geocodeCentre (cached lookups).
+ */
+export async function geocodeCentres(centres, { signal, onProgress, geocode = geocodeCentre, concurrency = GEOCODE_CONCURRENCY } = {}) {
+  const locations = new Map();
+  const failed = [];
+  let nextIndex = 0;
+  let done = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < centres.length) {
+      if (signal && signal.aborted) return;
+      const centre = centres[nextIndex++];
+      try {
+        locations.set(centre.id, await geocodeWithBackoff(centre, geocode, signal));
+      } catch (error) {
+        if (signal && signal.aborted) return;
+        failed.push({ centre, error });
+      }
+      done++;
+      if (onProgress && !(signal && signal.aborted)) {
+        onProgress({ done, total: centres.length, locations, failed });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, centres.length) }, runWorker));
+  if (signal && signal.aborted) throw abortError();
+  return { locations, failed };
+}
@@ -0,0 +1,151 @@
+/**
+ * Keyword Search
+ * Full-text search over a centre's offering notes, subjects and address, with
+ * highlighted snippets. Used by the keyword box on the results page, on top of
+ * the centre-name or level/subject results.
+ */
+import { mergeRanges, tokenize } from './centreSearch.js';
+import { compareLevels, compareSubjects } from './taxonomy.js';
+
+// Longest snippet shown for a note before it is trimmed around the match
+const SNIPPET_LENGTH = 80;
+
+/**
+ * Split a query into terms. Quoted text ("small group") is a phrase whose words
+ * must appear together; every other word is a term of its own.
+ */
+function parseKeywords(query) {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(query || ''))) !== null) {
+    const words = tokenize(match[1] ?? match[2]).map(token => token.value);
+    if (words.length > 0) terms.push(words);
+  }
+
+  return terms;
+}
+
+/**
+ * Ranges in a field where a term's words appear in order, each matching the
+ * start of a word ("ex moe" matches "ex-MOE teachers")
+ */
+function findTerm(tokens, words) {
+  const ranges = [];
+
+  for (let i = 0; i + words.length <= tokens.length; i++) {
+    const found = words.every((word, offset) => tokens[i + offset].value.startsWith(word));
+    if (found) {
+      const last = tokens[i + words.length - 1];
+      ranges.push([tokens[i].start, last.start + words[words.length - 1].length]);
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Trim long text to a window around the first match, shifting ranges to suit
+ */
+function makeSnippet(text, ranges) {
+  if (text.length <= SNIPPET_LENGTH) return { text, ranges };
+
+  const first = ranges[0][0];
+  const start = Math.max(0, Math.min(first - 20, text.length - SNIPPET_LENGTH));
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const shift = prefix.length - start;
+
+  return {
+    text: prefix + text.slice(start, end) + suffix,
+    ranges: ranges
+      .filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+      .map(([rangeStart, rangeEnd]) => [rangeStart + shift, rangeEnd + shift]),
+  };
+}
+
+/**
+ * Searchable fields of a centre: one per distinct note (labelled with the
+ * classes it belongs to), one per subject, and the address
+ */
+function getFields(centre, offerings) {
+  const notes = new Map();
+  const subjects = new Set();
+
+  offerings.forEach(offering => {
+    if (offering.subject) subjects.add(offering.subject);
+
+    const note = offering.notes ? String(offering.notes).trim() : '';
+    if (!note) return;
+    if (!notes.has(note)) notes.set(note, []);
+    notes.get(note).push(offering);
+  });
+
+  const fields = [];
+
+  notes.forEach((noteOfferings, note) => {
+    const classes = [...noteOfferings]
+      .sort((a, b) => compareLevels(a.level, b.level) || compareSubjects(a.subject, b.subject))
+      .map(offering => `${offering.level} ${offering.subject}`);
+    const label = classes.length > 2
+      ? `${classes.slice(0, 2).join(', ')} +${classes.length - 2} more`
+      : classes.join(', ');
+    fields.push({ type: 'note', label, text: note });
+  });
+
+  subjects.forEach(subject => fields.push({ type: 'subject', label: null, text: subject }));
+
+  if (centre.address) fields.push({ type: 'address', label: null, text: centre.address });
+
+  return fields.map(field => ({ ...field, tokens: tokenize(field.text) }));
+}
+
+/**
+ * Keep centres whose notes, subjects or address contain every keyword.
+ *
+ * options.getOfferings(centre) limits which offerings' notes and subjects are
+ * searched (e.g. only those matching the level/subject filter); defaults to all.
+ *
+ * @returns {Array} [{ centre, snippets }] in the order given, where each snippet
+ *   is { type: 'note' | 'subject' | 'address', label, text, ranges } and
+ *   `ranges` are [start, end) offsets in `text` to highlight
+ */
+export function searchKeywords(centres, query, { getOfferings = centre => centre.offerings } = {}) {
+  const terms = parseKeywords(query);
+  if (terms.length === 0) return centres.map(centre => ({ centre, snippets: [] }));
+
+  return centres
+    .map(centre => {
+      const fields = getFields(centre, getOfferings(centre));
+      const fieldRanges = fields.map(() => []);
+
+      // Every term must appear in at least one field
+      const allFound = terms.every(words => {
+        let found = false;
+        fields.forEach((field, index) => {
+          const ranges = findTerm(field.tokens, words);
+          if (ranges.length > 0) {
+            found = true;
+            fieldRanges[index].push(...ranges);
+          }
+        });
+        return found;
+      });
+
+      if (!allFound) return null;
+
+      const snippets = fields
+        .map((field, index) => ({ field, ranges: mergeRanges(fieldRanges[index]) }))
+        .filter(({ ranges }) => ranges.length > 0)
+        .map(({ field, ranges }) => ({
+          type: field.type,
+          label: field.label,
+          ...(field.type === 'note' ? makeSnippet(field.text, ranges) : { text: field.text, ranges }),
+        }));
+
+      return { centre, snippets };
+    })
+    .filter(Boolean);
+}
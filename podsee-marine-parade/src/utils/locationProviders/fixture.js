@@ -0,0 +1,58 @@
+/**
+ * Offline location provider for development and tests: answers from a short
+ * list of Marine Parade / Katong places, with no network or API key. Queries
+ * match a place's postal code or any part of its address. Coordinates are
+ * approximate.
+ */
+import { calculateDistance } from '../geo';
+
+const MAX_SUGGESTIONS = 5;
+// Reverse geocoding only names a place this close (km)
+const REVERSE_GEOCODE_RADIUS_KM = 0.5;
+
+export const FIXTURE_PLACES = [
+  { address: '80 Marine Parade Road, Parkway Parade, Singapore 449269', postalCode: '449269', lat: 1.30146, lng: 103.90516 },
+  { address: '1 Marine Parade Central, Parkway Centre, Singapore 449408', postalCode: '449408', lat: 1.30262, lng: 103.90570 },
+  { address: '84 Marine Parade Central, Marine Parade Market, Singapore 440084', postalCode: '440084', lat: 1.30296, lng: 103.90655 },
+  { address: '112 East Coast Road, i12 Katong, Singapore 428802', postalCode: '428802', lat: 1.30500, lng: 103.90470 },
+  { address: '865 Mountbatten Road, Katong Shopping Centre, Singapore 437844', postalCode: '437844', lat: 1.30459, lng: 103.89791 },
+  { address: '133 Joo Chiat Road, Singapore 427417', postalCode: '427417', lat: 1.31315, lng: 103.90147 },
+  { address: '55 Siglap Road, Siglap Centre, Singapore 455871', postalCode: '455871', lat: 1.31000, lng: 103.92600 },
+];
+
+function findPlaces(query) {
+  const text = query.trim().toLowerCase();
+  if (!text) return [];
+
+  return FIXTURE_PLACES.filter(place => place.postalCode === text || place.address.toLowerCase().includes(text));
+}
+
+function toPlace({ address, lat, lng }) {
+  return { lat, lng, address };
+}
+
+export const fixtureProvider = {
+  id: 'fixture',
+
+  async geocode(query) {
+    const [place] = findPlaces(query.replace(/,?\s*singapore\s*$/i, ''));
+    return place ? toPlace(place) : null;
+  },
+
+  async reverseGeocode({ lat, lng }) {
+    const nearest = FIXTURE_PLACES
+      .map(place => ({ place, distance: calculateDistance(lat, lng, place.lat, place.lng) }))
+      .sort((a, b) => a.distance - b.distance)[0];
+    return nearest && nearest.distance <= REVERSE_GEOCODE_RADIUS_KM ? nearest.place.address : null;
+  },
+
+  async autocomplete(query) {
+    return findPlaces(query)
+      .slice(0, MAX_SUGGESTIONS)
+      .map(place => ({ id: place.postalCode, label: place.address, place: toPlace(place) }));
+  },
+
+  async resolveSuggestion(suggestion) {
+    return suggestion.place;
+  },
+};
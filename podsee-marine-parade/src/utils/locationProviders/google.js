@@ -0,0 +1,122 @@
+/**
+ * Google location provider: Geocoding and Places Autocomplete through the
+ * Google Maps JS API (needs VITE_GOOGLE_MAPS_API_KEY)
+ */
+
+/**
+ * Load Google Maps API dynamically
+ */
+export function loadGoogleMapsAPI() {
+  return new Promise((resolve, reject) => {
+    // Already loaded
+    if (window.google && window.google.maps) {
+      resolve(window.google);
+      return;
+    }
+
+    // Check if script is already being loaded
+    if (window.googleMapsLoading) {
+      // Wait for existing load to complete
+      const checkInterval = setInterval(() => {
+        if (window.google && window.google.maps) {
+          clearInterval(checkInterval);
+          resolve(window.google);
+        }
+      }, 100);
+      return;
+    }
+
+    window.googleMapsLoading = true;
+
+    const apiKey = import.meta.env.VITE_GOOGLE_MAPS_API_KEY;
+    if (!apiKey) {
+      window.googleMapsLoading = false;
+      reject(new Error('Google Maps API key not found'));
+      return;
+    }
+
+    const script = document.createElement('script');
+    script.src = `https://maps.googleapis.com/maps/api/js?key=${apiKey}&libraries=places`;
+    script.async = true;
+    script.defer = true;
+
+    script.onload = () => {
+      window.googleMapsLoading = false;
+      resolve(window.google);
+    };
+
+    script.onerror = () => {
+      window.googleMapsLoading = false;
+      reject(new Error('Failed to load Google Maps API'));
+    };
+
+    document.head.appendChild(script);
+  });
+}
+
+// Run a Geocoder request: results, [] when nothing matched, or an error
+// carrying Google's status as `code` (e.g. OVER_QUERY_LIMIT)
+async function runGeocoder(request) {
+  const google = await loadGoogleMapsAPI();
+  const geocoder = new google.maps.Geocoder();
+
+  return new Promise((resolve, reject) => {
+    geocoder.geocode(request, (results, status) => {
+      if (status === 'OK') {
+        resolve(results);
+      } else if (status === 'ZERO_RESULTS') {
+        resolve([]);
+      } else {
+        reject(Object.assign(new Error(`Geocoding failed: ${status}`), { code: status }));
+      }
+    });
+  });
+}
+
+function toPlace(result) {
+  return {
+    lat: result.geometry.location.lat(),
+    lng: result.geometry.location.lng(),
+    address: result.formatted_address,
+  };
+}
+
+export const googleProvider = {
+  id: 'google',
+
+  async geocode(query) {
+    const results = await runGeocoder({ address: query, componentRestrictions: { country: 'sg' } });
+    return results.length > 0 ? toPlace(results[0]) : null;
+  },
+
+  async reverseGeocode({ lat, lng }) {
+    const results = await runGeocoder({ location: { lat, lng } });
+    return results.length > 0 ? results[0].formatted_address : null;
+  },
+
+  async autocomplete(query) {
+    const google = await loadGoogleMapsAPI();
+    const service = new google.maps.places.AutocompleteService();
+
+    return new Promise((resolve, reject) => {
+      service.getPlacePredictions(
+        { input: query, componentRestrictions: { country: 'sg' } },
+        (predictions, status) => {
+          if (status === 'OK') {
+            resolve(predictions.map(prediction => ({ id: prediction.place_id, label: prediction.description })));
+          } else if (status === 'ZERO_RESULTS') {
+            resolve([]);
+          } else {
+            reject(Object.assign(new Error(`Autocomplete failed: ${status}`), { code: status }));
+          }
+        }
+      );
+    });
+  },
+
+  // Predictions carry no coordinates; look the place up by id
+  async resolveSuggestion(suggestion) {
+    const results = await runGeocoder({ placeId: suggestion.id });
+    return results.length > 0 ? { ...toPlace(results[0]), address: suggestion.label } : null;
+  },
+};
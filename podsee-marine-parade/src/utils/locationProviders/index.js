@@ -0,0 +1,61 @@
+/**
+ * Location providers
+ * Geocoding, reverse geocoding and address autocomplete behind one interface,
+ * so the results page doesn't depend on a particular maps API:
+ * - google: Google Maps JS API (google.js, needs VITE_GOOGLE_MAPS_API_KEY)
+ * - onemap: OneMap's search API (onemap.js, no key)
+ * - fixture: a few bundled places, offline (fixture.js, for dev and tests)
+ *
+ * VITE_LOCATION_PROVIDER picks one; without it, google is used when an API key
+ * is configured and fixture otherwise.
+ *
+ * A provider is { id, geocode, reverseGeocode, autocomplete, resolveSuggestion }:
+ * - geocode(query) → Promise<{ lat, lng, address } | null>
+ * - reverseGeocode({ lat, lng }) → Promise<string | null>, an address
+ * - autocomplete(query) → Promise<Array<{ id, label, place? }>>
+ * - resolveSuggestion(suggestion) → Promise<{ lat, lng, address } | null>
+ * Places are in Singapore. Failed requests reject with an Error whose `code`
+ * is OVER_QUERY_LIMIT when the provider is rate limiting.
+ */
+import { fixtureProvider } from './fixture';
+import { googleProvider } from './google';
+import { oneMapProvider } from './onemap';
+
+export const LOCATION_PROVIDERS = {
+  google: googleProvider,
+  onemap: oneMapProvider,
+  fixture: fixtureProvider,
+};
+
+let activeProvider = null;
+
+function getConfiguredProviderId() {
+  const configured = import.meta.env.VITE_LOCATION_PROVIDER;
+  if (configured) {
+    if (LOCATION_PROVIDERS[configured]) return configured;
+    console.warn(`Unknown location provider "${configured}", using fixture`);
+    return 'fixture';
+  }
+  return import.meta.env.VITE_GOOGLE_MAPS_API_KEY ? 'google' : 'fixture';
+}
+
+/**
+ * The provider in use
+ */
+export function getLocationProvider() {
+  if (!activeProvider) {
+    activeProvider = LOCATION_PROVIDERS[getConfiguredProviderId()];
+  }
+  return activeProvider;
+}
+
+/**
+ * Switch provider, by id or with a provider object (e.g. a test double)
+ */
+export function setLocationProvider(provider) {
+  const next = typeof provider === 'string' ? LOCATION_PROVIDERS[provider] : provider;
+  if (!next) {
+    throw new Error(`Unknown location provider "${provider}"`);
+  }
+  activeProvider = next;
+}
@@ -0,0 +1,88 @@
+/**
+ * OneMap location provider: Singapore's public search API, which needs no key.
+ * VITE_ONEMAP_URL points it at another server with the same API (default
+ * https://www.onemap.gov.sg); reverse geocoding needs VITE_ONEMAP_TOKEN.
+ */
+
+const DEFAULT_ONEMAP_URL = 'https://www.onemap.gov.sg';
+const MAX_SUGGESTIONS = 5;
+
+function getBaseUrl() {
+  return (import.meta.env.VITE_ONEMAP_URL || DEFAULT_ONEMAP_URL).replace(/\/$/, '');
+}
+
+// OneMap returns addresses in capitals, with "NIL" for missing parts
+function toTitleCase(text) {
+  return text.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+function isKnown(value) {
+  return Boolean(value) && value !== 'NIL';
+}
+
+function formatAddress({ block, road, building, postalCode }) {
+  const street = [block, road].filter(isKnown).join(' ');
+  const text = [street, building].filter(isKnown).map(toTitleCase).join(', ');
+  return isKnown(postalCode) ? `${text}, Singapore ${postalCode}` : text;
+}
+
+async function fetchJson(path, options) {
+  const response = await fetch(`${getBaseUrl()}${path}`, options);
+  if (!response.ok) {
+    // Rate limiting is reported with Google's status, like the other providers
+    const code = response.status === 429 ? 'OVER_QUERY_LIMIT' : String(response.status);
+    throw Object.assign(new Error(`OneMap request failed (${response.status})`), { code });
+  }
+  return response.json();
+}
+
+async function search(query) {
+  const params = new URLSearchParams({ searchVal: query, returnGeom: 'Y', getAddrDetails: 'Y', pageNum: '1' });
+  const { results = [] } = await fetchJson(`/api/common/elastic/search?${params}`);
+
+  return results.map(result => ({
+    lat: Number(result.LATITUDE),
+    lng: Number(result.LONGITUDE),
+    address: formatAddress({
+      block: result.BLK_NO,
+      road: result.ROAD_NAME,
+      building: result.BUILDING,
+      postalCode: result.POSTAL,
+    }),
+  }));
+}
+
+export const oneMapProvider = {
+  id: 'onemap',
+
+  async geocode(query) {
+    const [place] = await search(query);
+    return place || null;
+  },
+
+  async reverseGeocode({ lat, lng }) {
+    const token = import.meta.env.VITE_ONEMAP_TOKEN;
+    if (!token) {
+      throw new Error('OneMap reverse geocoding needs VITE_ONEMAP_TOKEN');
+    }
+
+    const params = new URLSearchParams({ location: `${lat},${lng}`, buffer: '50', addressType: 'All' });
+    const { GeocodeInfo = [] } = await fetchJson(`/api/public/revgeocode?${params}`, {
+      headers: { Authorization: token },
+    });
+    if (GeocodeInfo.length === 0) return null;
+
+    const { BLOCK, ROAD, BUILDINGNAME, POSTALCODE } = GeocodeInfo[0];
+    return formatAddress({ block: BLOCK, road: ROAD, building: BUILDINGNAME, postalCode: POSTALCODE });
+  },
+
+  // Search results already carry coordinates
+  async autocomplete(query) {
+    const places = await search(query);
+    return places.slice(0, MAX_SUGGESTIONS).map(place => ({ id: place.address, label: place.address, place }));
+  },
+
+  async resolveSuggestion(suggestion) {
+    return suggestion.place;
+  },
+};
@@ -0,0 +1,66 @@
+/**
+ * Pin clustering and framing for the results map (see components/ResultsMap).
+ * Works in web map pixels, so it is the same whatever the map provider.
+ */
+import { pixelsToLatLng, projectToPixels } from './geo.js';
+
+export const MIN_ZOOM = 11;
+export const MAX_ZOOM = 18;
+
+// Pins closer than this on screen are drawn as one cluster
+const CLUSTER_RADIUS_PX = 40;
+// Map view for a single pin
+const SINGLE_PIN_ZOOM = 16;
+
+/**
+ * Group points ({ lat, lng, ... }) lying within CLUSTER_RADIUS_PX of a
+ * cluster's first point at a zoom level, in order. Centres sharing a building
+ * stay clustered even at MAX_ZOOM.
+ * @returns {Array<{ lat, lng, points: Array }>} positioned at the points' average
+ */
+export function clusterPoints(points, zoom) {
+  const clusters = [];
+  points.forEach(point => {
+    const { x, y } = projectToPixels(point.lat, point.lng, zoom);
+    const cluster = clusters.find(candidate => Math.hypot(candidate.x - x, candidate.y - y) <= CLUSTER_RADIUS_PX);
+    if (cluster) cluster.points.push(point);
+    else clusters.push({ x, y, points: [point] });
+  });
+
+  return clusters.map(({ points: clusterMembers }) => ({
+    lat: clusterMembers.reduce((sum, point) => sum + point.lat, 0) / clusterMembers.length,
+    lng: clusterMembers.reduce((sum, point) => sum + point.lng, 0) / clusterMembers.length,
+    points: clusterMembers,
+  }));
+}
+
+/**
+ * Centre and the closest zoom (MIN_ZOOM..MAX_ZOOM) showing every point in a
+ * map of `size` ({ width, height } in px) with `padding` px around them;
+ * null without points
+ */
+export function fitView(points, size, padding = 40) {
+  if (points.length === 0) return null;
+
+  const lats = points.map(point => point.lat);
+  const lngs = points.map(point => point.lng);
+  const north = Math.max(...lats);
+  const south = Math.min(...lats);
+  const east = Math.max(...lngs);
+  const west = Math.min(...lngs);
+
+  let zoom = points.length === 1 ? SINGLE_PIN_ZOOM : MAX_ZOOM;
+  for (; zoom > MIN_ZOOM; zoom--) {
+    const topLeft = projectToPixels(north, west, zoom);
+    const bottomRight = projectToPixels(south, east, zoom);
+    if (bottomRight.x - topLeft.x <= size.width - 2 * padding
+      && bottomRight.y - topLeft.y <= size.height - 2 * padding) break;
+  }
+
+  const topLeft = projectToPixels(north, west, zoom);
+  const bottomRight = projectToPixels(south, east, zoom);
+  return {
+    center: pixelsToLatLng((topLeft.x + bottomRight.x) / 2, (topLeft.y + bottomRight.y) / 2, zoom),
+    zoom,
+  };
+}
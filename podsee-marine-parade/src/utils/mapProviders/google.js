@@ -0,0 +1,75 @@
+/**
+ * Google map provider: a Google Maps JS API map with circle markers (needs
+ * VITE_GOOGLE_MAPS_API_KEY, with the Maps JavaScript API enabled)
+ */
+import { loadGoogleMapsAPI } from '../locationProviders/google';
+import { MARKER_STYLES } from './markerStyles';
+
+function createMarker(google, map, marker) {
+  const style = MARKER_STYLES[marker.kind];
+  const pin = new google.maps.Marker({
+    map,
+    position: { lat: marker.lat, lng: marker.lng },
+    title: marker.label,
+    label: marker.kind === 'cluster'
+      ? { text: String(marker.count), color: '#ffffff', fontSize: '12px', fontWeight: '600' }
+      : undefined,
+    icon: {
+      path: google.maps.SymbolPath.CIRCLE,
+      scale: style.radius,
+      fillColor: style.color,
+      fillOpacity: 1,
+      strokeColor: '#ffffff',
+      strokeWeight: 2,
+    },
+    // Clusters and the parent's pins above single centres
+    zIndex: marker.kind === 'centre' ? 1 : 2,
+  });
+  if (marker.onClick) pin.addListener('click', marker.onClick);
+  return pin;
+}
+
+export const googleMapProvider = {
+  id: 'google',
+
+  async createMap(container, { center, zoom, onViewChange }) {
+    const google = await loadGoogleMapsAPI();
+    const map = new google.maps.Map(container, {
+      center,
+      zoom,
+      disableDefaultUI: true,
+      zoomControl: true,
+      clickableIcons: false,
+      gestureHandling: 'greedy',
+    });
+    map.addListener('idle', () => {
+      const mapCenter = map.getCenter();
+      onViewChange({ center: { lat: mapCenter.lat(), lng: mapCenter.lng() }, zoom: map.getZoom() });
+    });
+
+    let pins = [];
+    const clearPins = () => {
+      pins.forEach(pin => {
+        google.maps.event.clearInstanceListeners(pin);
+        pin.setMap(null);
+      });
+      pins = [];
+    };
+
+    return {
+      setMarkers(markers) {
+        clearPins();
+        pins = markers.map(marker => createMarker(google, map, marker));
+      },
+      setView(view) {
+        map.setCenter(view.center);
+        map.setZoom(view.zoom);
+      },
+      destroy() {
+        clearPins();
+        google.maps.event.clearInstanceListeners(map);
+        container.replaceChildren();
+      },
+    };
+  },
+};
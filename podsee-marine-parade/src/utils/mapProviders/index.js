@@ -0,0 +1,60 @@
+/**
+ * Map providers
+ * Drawing the results map behind one interface, so ResultsMap doesn't depend
+ * on a particular maps API:
+ * - google: Google Maps JS API (google.js, needs VITE_GOOGLE_MAPS_API_KEY)
+ * - svg: pins on a plain SVG grid, no tiles or network (svg.js, for dev and tests)
+ *
+ * VITE_MAP_PROVIDER picks one; without it, google is used when an API key is
+ * configured and svg otherwise.
+ *
+ * A provider is { id, createMap(container, { center, zoom, onViewChange }) }:
+ * createMap fills the container element and resolves to a map with
+ * - setMarkers(markers): replace the pins; a marker is
+ *   { id, kind: 'centre' | 'cluster' | 'home' | 'school', lat, lng, label, count?, onClick? }
+ * - setView({ center, zoom }): move the map
+ * - destroy(): empty the container and drop listeners
+ * `onViewChange({ center, zoom })` is called whenever the view has changed,
+ * by the user or through setView. Clustering is done before setMarkers (see
+ * mapClusters.js); providers draw each marker as given.
+ */
+import { googleMapProvider } from './google';
+import { svgMapProvider } from './svg';
+
+export const MAP_PROVIDERS = {
+  google: googleMapProvider,
+  svg: svgMapProvider,
+};
+
+let activeProvider = null;
+
+function getConfiguredProviderId() {
+  const configured = import.meta.env.VITE_MAP_PROVIDER;
+  if (configured) {
+    if (MAP_PROVIDERS[configured]) return configured;
+    console.warn(`Unknown map provider "${configured}", using svg`);
+    return 'svg';
+  }
+  return import.meta.env.VITE_GOOGLE_MAPS_API_KEY ? 'google' : 'svg';
+}
+
+/**
+ * The provider in use
+ */
+export function getMapProvider() {
+  if (!activeProvider) {
+    activeProvider = MAP_PROVIDERS[getConfiguredProviderId()];
+  }
+  return activeProvider;
+}
+
+/**
+ * Switch provider, by id or with a provider object (e.g. a test double)
+ */
+export function setMapProvider(provider) {
+  const next = typeof provider === 'string' ? MAP_PROVIDERS[provider] : provider;
+  if (!next) {
+    throw new Error(`Unknown map provider "${provider}"`);
+  }
+  activeProvider = next;
+}
@@ -0,0 +1,9 @@
+/**
+ * Pin colours and sizes shared by the map providers, by marker kind
+ */
+export const MARKER_STYLES = {
+  centre: { color: '#2c4a3a', radius: 7 },
+  cluster: { color: '#2c4a3a', radius: 14 },
+  home: { color: '#1976d2', radius: 8 },
+  school: { color: '#fa9e0d', radius: 8 },
+};
@@ -0,0 +1,183 @@
+/**
+ * SVG map provider: pins drawn on a plain grid, with drag to pan and wheel or
+ * +/- buttons to zoom. No tiles or network, for development and tests; the
+ * grid lines are web map tile edges.
+ */
+import { pixelsToLatLng, projectToPixels } from '../geo';
+import { MAX_ZOOM, MIN_ZOOM } from '../mapClusters';
+import { MARKER_STYLES } from './markerStyles';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const TILE_SIZE = 256;
+// Pointer movement (px) past which a press is a drag rather than a tap
+const DRAG_THRESHOLD_PX = 4;
+
+function svgElement(name, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, String(value)));
+  return element;
+}
+
+function zoomButton(text, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = text;
+  button.setAttribute('aria-label', text === '+' ? 'Zoom in' : 'Zoom out');
+  Object.assign(button.style, {
+    width: '32px',
+    height: '32px',
+    border: '1px solid #d4c4b0',
+    background: '#ffffff',
+    color: '#3d3d3d',
+    fontSize: '18px',
+    cursor: 'pointer',
+  });
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function drawMarker(marker, x, y) {
+  const style = MARKER_STYLES[marker.kind];
+  const group = svgElement('g', { transform: `translate(${x} ${y})` });
+  const title = svgElement('title');
+  title.textContent = marker.label;
+  group.appendChild(title);
+  group.appendChild(svgElement('circle', {
+    r: style.radius,
+    fill: style.color,
+    stroke: '#ffffff',
+    'stroke-width': 2,
+  }));
+  if (marker.kind === 'cluster') {
+    const count = svgElement('text', {
+      'text-anchor': 'middle',
+      'dominant-baseline': 'central',
+      fill: '#ffffff',
+      'font-size': 12,
+      'font-weight': 600,
+    });
+    count.textContent = String(marker.count);
+    group.appendChild(count);
+  }
+  if (marker.onClick) group.style.cursor = 'pointer';
+  return group;
+}
+
+export const svgMapProvider = {
+  id: 'svg',
+
+  async createMap(container, { center, zoom, onViewChange }) {
+    let view = { center, zoom };
+    let markers = [];
+
+    const svg = svgElement('svg', { width: '100%', height: '100%' });
+    Object.assign(svg.style, { display: 'block', background: '#eef3ea', touchAction: 'none', cursor: 'grab' });
+    const controls = document.createElement('div');
+    Object.assign(controls.style, { position: 'absolute', top: '8px', right: '8px', display: 'flex', flexDirection: 'column' });
+    container.style.position = 'relative';
+    container.replaceChildren(svg, controls);
+
+    // Screen position of a point in the current view
+    const toScreen = (lat, lng, size) => {
+      const origin = projectToPixels(view.center.lat, view.center.lng, view.zoom);
+      const point = projectToPixels(lat, lng, view.zoom);
+      return { x: point.x - origin.x + size.width / 2, y: point.y - origin.y + size.height / 2 };
+    };
+
+    const render = () => {
+      const size = { width: container.clientWidth, height: container.clientHeight };
+      const origin = projectToPixels(view.center.lat, view.center.lng, view.zoom);
+      const left = origin.x - size.width / 2;
+      const top = origin.y - size.height / 2;
+      const children = [];
+
+      for (let x = Math.ceil(left / TILE_SIZE) * TILE_SIZE; x < left + size.width; x += TILE_SIZE) {
+        children.push(svgElement('line', { x1: x - left, y1: 0, x2: x - left, y2: size.height, stroke: '#d8e0d2' }));
+      }
+      for (let y = Math.ceil(top / TILE_SIZE) * TILE_SIZE; y < top + size.height; y += TILE_SIZE) {
+        children.push(svgElement('line', { x1: 0, y1: y - top, x2: size.width, y2: y - top, stroke: '#d8e0d2' }));
+      }
+      // Single centres below clusters and the parent's pins
+      [...markers]
+        .sort((a, b) => (a.kind === 'centre' ? 0 : 1) - (b.kind === 'centre' ? 0 : 1))
+        .forEach(marker => {
+          const { x, y } = toScreen(marker.lat, marker.lng, size);
+          const group = drawMarker(marker, x, y);
+          group.dataset.markerId = marker.id;
+          children.push(group);
+        });
+      svg.replaceChildren(...children);
+    };
+
+    const changeView = (next) => {
+      view = { center: next.center, zoom: Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, next.zoom)) };
+      render();
+      onViewChange(view);
+    };
+    const zoomBy = (delta) => changeView({ center: view.center, zoom: view.zoom + delta });
+
+    controls.append(zoomButton('+', () => zoomBy(1)), zoomButton('−', () => zoomBy(-1)));
+
+    // Drag to pan; a press that doesn't move is a tap on whatever marker is under it
+    let drag = null;
+    const handlePointerDown = (event) => {
+      drag = { startX: event.clientX, startY: event.clientY, origin: projectToPixels(view.center.lat, view.center.lng, view.zoom), moved: false };
+      svg.setPointerCapture(event.pointerId);
+    };
+    const handlePointerMove = (event) => {
+      if (!drag) return;
+      const dx = event.clientX - drag.startX;
+      const dy = event.clientY - drag.startY;
+      if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD_PX) return;
+      drag.moved = true;
+      svg.style.cursor = 'grabbing';
+      view = { ...view, center: pixelsToLatLng(drag.origin.x - dx, drag.origin.y - dy, view.zoom) };
+      render();
+    };
+    const handlePointerUp = (event) => {
+      if (!drag) return;
+      const { moved } = drag;
+      drag = null;
+      svg.style.cursor = 'grab';
+      if (moved) {
+        onViewChange(view);
+        return;
+      }
+      const target = document.elementFromPoint(event.clientX, event.clientY);
+      const group = target && target.closest('[data-marker-id]');
+      const marker = group && markers.find(candidate => candidate.id === group.dataset.markerId);
+      if (marker && marker.onClick) marker.onClick();
+    };
+    const handleWheel = (event) => {
+      event.preventDefault();
+      zoomBy(event.deltaY < 0 ? 1 : -1);
+    };
+
+    svg.addEventListener('pointerdown', handlePointerDown);
+    svg.addEventListener('pointermove', handlePointerMove);
+    svg.addEventListener('pointerup', handlePointerUp);
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    const resizeObserver = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(render) : null;
+    if (resizeObserver) resizeObserver.observe(container);
+
+    render();
+
+    return {
+      setMarkers(nextMarkers) {
+        markers = nextMarkers;
+        render();
+      },
+      setView(next) {
+        changeView(next);
+      },
+      destroy() {
+        svg.removeEventListener('pointerdown', handlePointerDown);
+        svg.removeEventListener('pointermove', handlePointerMove);
+        svg.removeEventListener('pointerup', handlePointerUp);
+        svg.removeEventListener('wheel', handleWheel);
+        if (resizeObserver) resizeObserver.disconnect();
+        container.replaceChildren();
+      },
+    };
+  },
+};
@@ -0,0 +1,75 @@
+/**
+ * MRT stations around the covered regions, and the walk from a centre to the
+ * nearest one.
+ * Coordinates are station centres (approximate: the nearest exit can be a
+ * minute closer). Walking time assumes paths ~30% longer than the straight
+ * line at 80 m a minute. Add stations here when a region further away is added.
+ */
+import { calculateDistance } from './geo.js';
+
+// Line code → name and colour
+export const MRT_LINES = {
+  EW: { name: 'East-West Line', color: '#009645' },
+  CC: { name: 'Circle Line', color: '#fa9e0d' },
+  TE: { name: 'Thomson-East Coast Line', color: '#9d5b25' },
+};
+
+export const MRT_STATIONS = [
+  // Thomson-East Coast Line (East Coast stretch)
+  { name: 'Tanjong Rhu', codes: ['TE22'], lat: 1.29737, lng: 103.87360 },
+  { name: 'Katong Park', codes: ['TE23'], lat: 1.29750, lng: 103.88560 },
+  { name: 'Tanjong Katong', codes: ['TE24'], lat: 1.29950, lng: 103.89720 },
+  { name: 'Marine Parade', codes: ['TE25'], lat: 1.30271, lng: 103.90518 },
+  { name: 'Marine Terrace', codes: ['TE26'], lat: 1.30670, lng: 103.91510 },
+  { name: 'Siglap', codes: ['TE27'], lat: 1.31033, lng: 103.93023 },
+  { name: 'Bayshore', codes: ['TE28'], lat: 1.31320, lng: 103.94286 },
+  // East-West Line
+  { name: 'Aljunied', codes: ['EW9'], lat: 1.31644, lng: 103.88290 },
+  { name: 'Paya Lebar', codes: ['EW8', 'CC9'], lat: 1.31776, lng: 103.89262 },
+  { name: 'Eunos', codes: ['EW7'], lat: 1.31977, lng: 103.90302 },
+  { name: 'Kembangan', codes: ['EW6'], lat: 1.32099, lng: 103.91297 },
+  { name: 'Bedok', codes: ['EW5'], lat: 1.32400, lng: 103.92997 },
+  // Circle Line
+  { name: 'Mountbatten', codes: ['CC7'], lat: 1.30621, lng: 103.88255 },
+  { name: 'Dakota', codes: ['CC8'], lat: 1.30832, lng: 103.88838 },
+];
+
+// Walking paths are longer than the straight line between two points
+const WALK_DETOUR_FACTOR = 1.3;
+const WALK_METRES_PER_MINUTE = 80;
+
+// The "near MRT" filter: at most this many minutes' walk
+export const NEAR_MRT_WALK_MINUTES = 10;
+
+/**
+ * Estimated walking time (minutes) for a straight-line distance in km
+ */
+export function estimateWalkMinutes(distanceKm) {
+  return Math.max(1, Math.round((distanceKm * 1000 * WALK_DETOUR_FACTOR) / WALK_METRES_PER_MINUTE));
+}
+
+/**
+ * Nearest station to a { lat, lng }, as { name, codes, distanceKm, walkMinutes },
+ * or null without a location
+ */
+export function getNearestStation(location) {
+  if (!location) return null;
+
+  let nearest = null;
+  MRT_STATIONS.forEach(station => {
+    const distanceKm = calculateDistance(location.lat, location.lng, station.lat, station.lng);
+    if (!nearest || distanceKm < nearest.distanceKm) {
+      nearest = { name: station.name, codes: station.codes, distanceKm };
+    }
+  });
+  return { ...nearest, walkMinutes: estimateWalkMinutes(nearest.distanceKm) };
+}
+
+/**
+ * Whether a nearest station (getNearestStation) is within NEAR_MRT_WALK_MINUTES;
+ * false when it isn't known
+ */
+export function isNearMrt(station) {
+  return Boolean(station) && station.walkMinutes <= NEAR_MRT_WALK_MINUTES;
+}
+
@@ -0,0 +1,496 @@
+/**
+ * Structured offering details: fee, lesson slots and class size.
+ *
+ * Optional `offerings` sheet columns, parsed here for buildCentresIndex and
+ * checked with the same parsers by scripts/lib/validateWorkbook.js:
+ *   fee               - SGD with the period it is quoted for: "$320/month",
+ *                       "$80/lesson", "S$900/term" (a bare amount is per month)
+ *   fee_monthly       - older column: SGD per month, 320 or "$320"
+ *   lessons_per_month - lessons the fee covers; defaults to 4 (weekly)
+ *   lesson_slots      - weekly slots the class runs in, separated by ";" or
+ *                       new lines: "Mon 4pm-5.30pm; Sat 9:00-10:30"
+ *   lesson_days       - shorthand for slots at one time: "Mon, Wed", "Sat/Sun",
+ *   lesson_time         "Mon-Fri", "Weekends" with "16:00-17:30", "4pm-5.30pm"
+ *   class_size        - maximum students per class: 8, "max 8", "4-6 pax"
+ *
+ * Slots are alternatives: a student attends one of them each week.
+ * Fees are normalised to `feeMonthly` and, when the lesson length is known,
+ * `feePerHour`, so per-term, per-month and per-lesson prices compare.
+ */
+
+export const DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+export const DAY_LABELS = {
+  mon: 'Mon',
+  tue: 'Tue',
+  wed: 'Wed',
+  thu: 'Thu',
+  fri: 'Fri',
+  sat: 'Sat',
+  sun: 'Sun',
+};
+
+// Day words that stand for several days
+const DAY_GROUPS = {
+  weekday: DAYS.slice(0, 5),
+  weekdays: DAYS.slice(0, 5),
+  weekend: DAYS.slice(5),
+  weekends: DAYS.slice(5),
+  daily: DAYS,
+};
+
+export const FEE_UNITS = ['month', 'term', 'lesson'];
+
+// Assumptions for normalising fees: a class runs one lesson a week, 4 a month,
+// and a term is 3 months (10-12 lessons)
+export const WEEKS_PER_MONTH = 4;
+export const MONTHS_PER_TERM = 3;
+
+// Sanity bounds: anything outside is a typo rather than a real class
+const MAX_FEE = { month: 5000, term: 15000, lesson: 1000 };
+const MAX_CLASS_SIZE = 100;
+const MAX_LESSONS_PER_MONTH = 31;
+const MAX_LESSON_MINUTES = 6 * 60;
+
+const FEE_PATTERN = /^(?:s?\$)?\s*(\d+(?:\.\d{1,2})?)\s*(?:(?:\/|per)\s*(month|mth|mo|term|lesson|class|session))?$/i;
+const FEE_UNIT_WORDS = { month: 'month', mth: 'month', mo: 'month', term: 'term', lesson: 'lesson', class: 'lesson', session: 'lesson' };
+const CLASS_SIZE_PATTERN = /^(?:max\.?|up to)?\s*(?:\d+\s*(?:-|–|to)\s*)?(\d+)\s*(?:pax|students?|per class)?$/i;
+const TIME_PATTERN = /^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/i;
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function toDay(word) {
+  const day = word.trim().toLowerCase().slice(0, 3);
+  return DAYS.includes(day) ? day : null;
+}
+
+/**
+ * Fee as { amount, unit } (unit 'month', 'term' or 'lesson'), null when blank;
+ * throws on values that aren't a fee
+ * @param {string} column - sheet column, for the error message
+ * @param {string[]} units - periods the column may quote
+ */
+export function parseFee(value, { column = 'fee', units = FEE_UNITS } = {}) {
+  if (isBlank(value)) return null;
+
+  const match = FEE_PATTERN.exec(String(value).trim().replace(/,/g, ''));
+  const amount = match ? Number(match[1]) : NaN;
+  const unit = match && match[2] ? FEE_UNIT_WORDS[match[2].toLowerCase()] : 'month';
+  if (!(amount > 0 && units.includes(unit) && amount <= MAX_FEE[unit])) {
+    const example = units.length > 1 ? '"$320/month", "$80/lesson" or "$900/term"' : '320';
+    throw new Error(`invalid ${column} "${value}" (use the fee in SGD, e.g. ${example})`);
+  }
+  return { amount, unit };
+}
+
+export function parseLessonsPerMonth(value) {
+  if (isBlank(value)) return null;
+
+  const count = Number(String(value).trim());
+  if (!(Number.isInteger(count) && count > 0 && count <= MAX_LESSONS_PER_MONTH)) {
+    throw new Error(`invalid lessons_per_month "${value}" (use a whole number, e.g. 4)`);
+  }
+  return count;
+}
+
+/**
+ * Maximum class size, null when blank; a range ("4-6") gives its upper end
+ */
+export function parseClassSize(value) {
+  if (isBlank(value)) return null;
+
+  const match = CLASS_SIZE_PATTERN.exec(String(value).trim());
+  const size = match ? Number(match[1]) : NaN;
+  if (!(Number.isInteger(size) && size > 0 && size <= MAX_CLASS_SIZE)) {
+    throw new Error(`invalid class_size "${value}" (use the maximum number of students, e.g. 8)`);
+  }
+  return size;
+}
+
+/**
+ * Lesson days in week order, [] when blank
+ */
+export function parseLessonDays(value) {
+  if (isBlank(value)) return [];
+
+  const days = new Set();
+
+  String(value).split(/\s*(?:,|\/|&|\band\b)\s*/i).filter(Boolean).forEach(part => {
+    const group = DAY_GROUPS[part.trim().toLowerCase()];
+    if (group) {
+      group.forEach(day => days.add(day));
+      return;
+    }
+
+    // Ranges such as Mon-Fri
+    const [from, to, ...rest] = part.split(/\s*(?:-|–|to)\s*/i);
+    const start = toDay(from);
+    const end = to === undefined ? start : toDay(to);
+    if (!start || !end || rest.length > 0) {
+      throw new Error(`invalid lesson_days "${value}" (use days such as "Mon, Wed" or "Sat-Sun")`);
+    }
+    for (let index = DAYS.indexOf(start); ; index = (index + 1) % DAYS.length) {
+      days.add(DAYS[index]);
+      if (DAYS[index] === end) break;
+    }
+  });
+
+  return DAYS.filter(day => days.has(day));
+}
+
+function parseClock(text) {
+  const match = TIME_PATTERN.exec(text.trim());
+  if (!match) return null;
+
+  const hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  const meridiem = match[3] ? match[3].toLowerCase() : null;
+  if (minute > 59 || hour > 23 || (meridiem && (hour === 0 || hour > 12))) return null;
+
+  return { hour, minute, meridiem };
+}
+
+function toMinutes({ hour, minute }, meridiem) {
+  const hour24 = meridiem ? (hour % 12) + (meridiem === 'pm' ? 12 : 0) : hour;
+  return hour24 * 60 + minute;
+}
+
+function formatClock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Lesson time as { start, end } 24-hour "HH:MM" strings, null when blank.
+ * A start without am/pm takes the end's ("4-5.30pm" is 16:00-17:30) unless
+ * that would put it after the end ("11-12.30pm" starts at 11:00).
+ */
+export function parseLessonTime(value) {
+  if (isBlank(value)) return null;
+
+  const invalid = () => new Error(`invalid lesson_time "${value}" (use a range such as "16:00-17:30" or "4pm-5.30pm")`);
+  const parts = String(value).split(/\s*(?:-|–|to)\s*/i);
+  if (parts.length !== 2) throw invalid();
+
+  const start = parseClock(parts[0]);
+  const end = parseClock(parts[1]);
+  if (!start || !end) throw invalid();
+
+  const endMinutes = toMinutes(end, end.meridiem);
+  let startMinutes = toMinutes(start, start.meridiem || end.meridiem);
+  if (!start.meridiem && end.meridiem && startMinutes >= endMinutes) {
+    startMinutes = toMinutes(start, 'am');
+  }
+  if (startMinutes >= endMinutes || endMinutes - startMinutes > MAX_LESSON_MINUTES) throw invalid();
+
+  return { start: formatClock(startMinutes), end: formatClock(endMinutes) };
+}
+
+function minutesOf(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+function compareSlots(a, b) {
+  return DAYS.indexOf(a.day) - DAYS.indexOf(b.day) || (a.start || '').localeCompare(b.start || '');
+}
+
+// One slot per day, all at the same time (or no time)
+function toSlots(days, time) {
+  return days.map(day => ({ day, start: time ? time.start : null, end: time ? time.end : null }));
+}
+
+/**
+ * Weekly lesson slots as [{ day, start, end }] in week order, [] when blank.
+ * Each entry is days with an optional time ("Mon 4pm-5.30pm", "Sat/Sun 9-10.30am").
+ */
+export function parseLessonSlots(value) {
+  if (isBlank(value)) return [];
+
+  const slots = [];
+
+  String(value).split(/\s*(?:;|\n)\s*/).filter(Boolean).forEach(entry => {
+    // Days come first; the time starts at the first digit
+    const timeIndex = entry.search(/\d/);
+    const daysText = timeIndex === -1 ? entry : entry.slice(0, timeIndex);
+    const timeText = timeIndex === -1 ? '' : entry.slice(timeIndex);
+
+    try {
+      const days = parseLessonDays(daysText);
+      if (days.length === 0) throw new Error('no days');
+      slots.push(...toSlots(days, parseLessonTime(timeText)));
+    } catch {
+      throw new Error(`invalid lesson_slots entry "${entry}" (use e.g. "Mon 4pm-5.30pm; Sat 9:00-10:30")`);
+    }
+  });
+
+  return slots.sort(compareSlots);
+}
+
+/**
+ * Slot as stored in the `lesson_slots` column: "mon 16:00-17:30" or "mon"
+ */
+export function slotToText({ day, start, end }) {
+  return start ? `${day} ${start}-${end}` : day;
+}
+
+export function slotFromText(text) {
+  const [day, time] = text.split(' ');
+  const [start, end] = time ? time.split('-') : [null, null];
+  return { day, start, end };
+}
+
+// Parts of the day parents filter lesson slots by (on the slot's start time)
+export const TIME_WINDOWS = [
+  { id: 'morning', label: 'Morning', from: 0, to: 12 * 60 },
+  { id: 'afternoon', label: '12-5pm', from: 12 * 60, to: 17 * 60 },
+  { id: 'evening', label: 'After 5pm', from: 17 * 60, to: 24 * 60 },
+];
+
+function getTimeWindow(slot) {
+  if (!slot.start) return null;
+  const minutes = minutesOf(slot.start);
+  return TIME_WINDOWS.find(window => minutes >= window.from && minutes < window.to).id;
+}
+
+/**
+ * Whether a slot falls on one of `days` and in one of the `times` windows
+ * (an empty list allows any)
+ */
+export function slotMatches(slot, { days = [], times = [] } = {}) {
+  return (days.length === 0 || days.includes(slot.day)) &&
+    (times.length === 0 || times.includes(getTimeWindow(slot)));
+}
+
+/**
+ * Lesson length in minutes (of the first slot with a time), null when unknown
+ */
+export function getLessonMinutes(slots) {
+  const timed = (slots || []).find(slot => slot.start && slot.end);
+  return timed ? minutesOf(timed.end) - minutesOf(timed.start) : null;
+}
+
+/**
+ * Lessons a month's fee covers: the listed count, else one a week
+ */
+export function getLessonsPerMonth({ lessonsPerMonth }) {
+  return lessonsPerMonth || WEEKS_PER_MONTH;
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Monthly and hourly fee of an offering ({ fee, lessonsPerMonth, slots });
+ * feePerHour is null without a lesson time, both are null without a fee
+ */
+export function normaliseFee(offering) {
+  const { fee } = offering;
+  if (!fee) return { feeMonthly: null, feePerHour: null };
+
+  const lessons = getLessonsPerMonth(offering);
+  const monthly = {
+    month: fee.amount,
+    term: fee.amount / MONTHS_PER_TERM,
+    lesson: fee.amount * lessons,
+  }[fee.unit];
+
+  const minutes = getLessonMinutes(offering.slots);
+  return {
+    feeMonthly: roundCents(monthly),
+    feePerHour: minutes ? roundCents(monthly / (lessons * minutes / 60)) : null,
+  };
+}
+
+/**
+ * Parse the structured columns of an `offerings` sheet row.
+ * Invalid values are left out of `details` and described in `problems`.
+ * @returns {{ details: { fee, feeMonthly, feePerHour, lessonsPerMonth, slots, classSize }, problems: string[] }}
+ */
+export function parseOfferingDetails(row) {
+  const problems = [];
+  const attempt = (parse, value, fallback) => {
+    try {
+      return parse(value);
+    } catch (err) {
+      problems.push(err.message);
+      return fallback;
+    }
+  };
+
+  const slots = attempt(parseLessonSlots, row.lesson_slots, []);
+  const days = attempt(parseLessonDays, row.lesson_days, []);
+  const time = attempt(parseLessonTime, row.lesson_time, null);
+  if (time && days.length === 0) {
+    problems.push('lesson_time without lesson_days (or use lesson_slots)');
+  }
+  if (slots.length > 0 && days.length > 0) {
+    problems.push('both lesson_slots and lesson_days (keep lesson_slots only)');
+  }
+
+  if (!isBlank(row.fee) && !isBlank(row.fee_monthly)) {
+    problems.push('both fee and fee_monthly (keep fee only)');
+  }
+  const fee = isBlank(row.fee)
+    ? attempt(value => parseFee(value, { column: 'fee_monthly', units: ['month'] }), row.fee_monthly, null)
+    : attempt(parseFee, row.fee, null);
+
+  const details = {
+    fee,
+    lessonsPerMonth: attempt(parseLessonsPerMonth, row.lessons_per_month, null),
+    slots: slots.length > 0 ? slots : toSlots(days, time),
+    classSize: attempt(parseClassSize, row.class_size, null),
+  };
+
+  return { details: { ...details, ...normaliseFee(details) }, problems };
+}
+
+export function hasOfferingDetails(offering) {
+  return offering.fee != null || offering.slots.length > 0 || offering.classSize != null;
+}
+
+function formatAmount(amount) {
+  return `$${Number.isInteger(amount) ? amount : amount.toFixed(2)}`;
+}
+
+/**
+ * e.g. "$80/lesson"
+ */
+export function formatFee(fee) {
+  return `${formatAmount(fee.amount)}/${fee.unit}`;
+}
+
+/**
+ * Quoted fee with its normalised monthly and hourly figures,
+ * e.g. "$80/lesson (≈ $320/month, $40/hr)"
+ */
+export function formatFeeSummary(offering) {
+  if (!offering.fee) return null;
+
+  const normalised = [
+    offering.fee.unit !== 'month' ? `≈ ${formatAmount(offering.feeMonthly)}/month` : null,
+    offering.feePerHour != null ? `${formatAmount(offering.feePerHour)}/hr` : null,
+  ].filter(Boolean);
+
+  return `${formatFee(offering.fee)}${normalised.length > 0 ? ` (${normalised.join(', ')})` : ''}`;
+}
+
+function formatTimeOfDay(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  const hour12 = hour % 12 || 12;
+  return `${hour12}${minute ? `:${String(minute).padStart(2, '0')}` : ''}${hour < 12 ? 'am' : 'pm'}`;
+}
+
+/**
+ * e.g. "4pm–5:30pm"; null for a slot without a time
+ */
+export function formatSlotTime(slot) {
+  return slot.start ? `${formatTimeOfDay(slot.start)}–${formatTimeOfDay(slot.end)}` : null;
+}
+
+/**
+ * Slots grouped by time, e.g. "Mon, Wed 4pm–5:30pm; Sat 9am–10:30am".
+ * With `limit`, further groups are counted ("+2 more").
+ */
+export function formatSlots(slots, { limit = Infinity } = {}) {
+  if (!slots || slots.length === 0) return null;
+
+  const groups = new Map();
+  slots.forEach(slot => {
+    const time = formatSlotTime(slot) || '';
+    if (!groups.has(time)) groups.set(time, []);
+    groups.get(time).push(DAY_LABELS[slot.day]);
+  });
+
+  const parts = [...groups].map(([time, days]) => [days.join(', '), time].filter(Boolean).join(' '));
+  const hidden = parts.length - limit;
+  return hidden > 0 ? `${parts.slice(0, limit).join('; ')} +${hidden} more` : parts.join('; ');
+}
+
+export function formatClassSize(size) {
+  return `Max ${size} student${size !== 1 ? 's' : ''}`;
+}
+
+/**
+ * One-line summary of an offering's details, null when it has none
+ */
+export function formatOfferingDetails(offering) {
+  const parts = [
+    formatFeeSummary(offering),
+    formatSlots(offering.slots, { limit: 2 }),
+    offering.classSize != null ? formatClassSize(offering.classSize) : null,
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(' · ') : null;
+}
+
+/**
+ * Whether an offering satisfies the detail filters; offerings that don't list
+ * a filtered detail don't match. Days and times must fall on the same slot.
+ * @param {Object} filters - { maxMonthlyFee, maxClassSize, days, times } (unset = no filter)
+ */
+export function offeringDetailsMatch(offering, { maxMonthlyFee = null, maxClassSize = null, days = [], times = [] } = {}) {
+  if (maxMonthlyFee != null && !(offering.feeMonthly != null && offering.feeMonthly <= maxMonthlyFee)) {
+    return false;
+  }
+  if (maxClassSize != null && !(offering.classSize != null && offering.classSize <= maxClassSize)) {
+    return false;
+  }
+  if ((days.length > 0 || times.length > 0) && !offering.slots.some(slot => slotMatches(slot, { days, times }))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Cheapest hourly fee among offerings, null when none has one
+ */
+export function getLowestHourlyFee(offerings) {
+  const fees = offerings.map(offering => offering.feePerHour).filter(fee => fee != null);
+  return fees.length > 0 ? Math.min(...fees) : null;
+}
+
+/**
+ * Timetable of offerings' slots: the days any of them runs on, and per
+ * offering the slot times on each of those days
+ * @returns {{ days: string[], rows: Array<{ offering, cells: Object<string, string[]> }> }}
+ */
+export function getTimetable(offerings) {
+  const usedDays = new Set();
+
+  const rows = offerings
+    .filter(offering => offering.slots.length > 0)
+    .map(offering => {
+      const cells = {};
+      offering.slots.forEach(slot => {
+        usedDays.add(slot.day);
+        if (!cells[slot.day]) cells[slot.day] = [];
+        cells[slot.day].push(formatSlotTime(slot) || '✓');
+      });
+      return { offering, cells };
+    });
+
+  return { days: DAYS.filter(day => usedDays.has(day)), rows };
+}
+
+/**
+ * Lesson days and time windows that some of the offerings' slots fall in
+ */
+export function getSlotOptions(offerings) {
+  const days = new Set();
+  const times = new Set();
+
+  offerings.forEach(offering => {
+    offering.slots.forEach(slot => {
+      days.add(slot.day);
+      const window = getTimeWindow(slot);
+      if (window) times.add(window);
+    });
+  });
+
+  return {
+    days: DAYS.filter(day => days.has(day)),
+    times: TIME_WINDOWS.map(window => window.id).filter(id => times.has(id)),
+  };
+}
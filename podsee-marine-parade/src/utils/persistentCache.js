@@ -0,0 +1,59 @@
+/**
+ * Small key-value cache in IndexedDB, kept across visits.
+ * Every call resolves (null / nothing) instead of failing when IndexedDB is
+ * unavailable or refuses (private browsing, storage full, old browsers): the
+ * cache only ever saves a download.
+ */
+
+const DB_NAME = 'podsee';
+const DB_VERSION = 1;
+const STORE_NAME = 'cache';
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Run one request in its own transaction
+async function runRequest(mode, makeRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Stored value for a key, or null
+ */
+export async function readCache(key) {
+  try {
+    const value = await runRequest('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  } catch (err) {
+    console.warn(`Failed to read cached ${key}:`, err);
+    return null;
+  }
+}
+
+export async function writeCache(key, value) {
+  try {
+    await runRequest('readwrite', store => store.put(value, key));
+  } catch (err) {
+    console.warn(`Failed to cache ${key}:`, err);
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Offline postal code lookup for the location bar
+ * Resolves a 6-digit Singapore postal code in the bundled table (the centres'
+ * data/postal-codes.csv and the regions' homes in data/home-postal-codes.csv,
+ * see loadPostalCodes) without calling a geocoder, and suggests the blocks and
+ * streets around it. Codes the table doesn't know, e.g. outside the regions'
+ * postal sectors, are left to the location provider (resolve returns null,
+ * suggest nothing).
+ */
+import { loadPostalCodes } from './dataLoader';
+import { calculateDistance } from './geo';
+
+const MAX_SUGGESTIONS = 6;
+const MAX_NEARBY_STREETS = 2;
+// Blocks and streets are suggested as "nearby" within this distance (km)
+const NEARBY_RADIUS_KM = 1;
+
+/**
+ * Whether the text is a whole postal code
+ */
+export function isPostalCode(text) {
+  return /^\d{6}$/.test(text.trim());
+}
+
+/**
+ * Whether the text is (the start of) a postal code, so suggestions come from
+ * the table only
+ */
+export function isPostalCodeQuery(text) {
+  return /^\d{1,6}$/.test(text.trim());
+}
+
+function formatStreet(entry) {
+  return [entry.block, entry.street].filter(Boolean).join(' ');
+}
+
+function formatAddress(entry) {
+  return [formatStreet(entry), entry.building, `Singapore ${entry.postalCode}`].filter(Boolean).join(', ');
+}
+
+function middleOf(entries) {
+  return {
+    lat: entries.reduce((sum, entry) => sum + entry.lat, 0) / entries.length,
+    lng: entries.reduce((sum, entry) => sum + entry.lng, 0) / entries.length,
+  };
+}
+
+function formatDistance(distance) {
+  return `${distance.toFixed(1)} km away`;
+}
+
+function toPlace(entry) {
+  return { lat: entry.lat, lng: entry.lng, address: formatAddress(entry), postalCode: entry.postalCode };
+}
+
+function blockSuggestion(entry, detail) {
+  return {
+    id: `postal:${entry.postalCode}`,
+    label: [formatStreet(entry), entry.building].filter(Boolean).join(', ') || `Singapore ${entry.postalCode}`,
+    secondary: [`Singapore ${entry.postalCode}`, detail].filter(Boolean).join(' · '),
+    place: toPlace(entry),
+  };
+}
+
+function streetSuggestion(street, entries, detail) {
+  return {
+    id: `street:${street}`,
+    label: street,
+    secondary: detail || 'Street',
+    place: { ...middleOf(entries), address: `${street}, Singapore` },
+  };
+}
+
+/**
+ * Lookup over the postal code table ([{ postalCode, lat, lng, block, street, building }]):
+ * - resolve(postalCode) → { lat, lng, address, postalCode } | null when not in the table
+ * - suggest(query) → [{ id, label, secondary, place }], for a partial or whole
+ *   postal code (the code itself first, then nearby blocks and streets), or a
+ *   block / street / building name
+ */
+export function createPostalLookup(entries) {
+  const byCode = new Map(entries.map(entry => [entry.postalCode, entry]));
+
+  function resolve(postalCode) {
+    const entry = byCode.get(postalCode.trim());
+    return entry ? toPlace(entry) : null;
+  }
+
+  function suggestNearby(place) {
+    const nearby = entries
+      .map(entry => ({ entry, distance: calculateDistance(place.lat, place.lng, entry.lat, entry.lng) }))
+      .filter(({ distance }) => distance <= NEARBY_RADIUS_KM)
+      .sort((a, b) => a.distance - b.distance);
+
+    // Streets in order of their closest block
+    const streets = new Map();
+    nearby.forEach(({ entry, distance }) => {
+      if (!entry.street) return;
+      if (!streets.has(entry.street)) streets.set(entry.street, { distance, entries: [] });
+      streets.get(entry.street).entries.push(entry);
+    });
+
+    return [
+      ...[...streets]
+        .slice(0, MAX_NEARBY_STREETS)
+        .map(([street, { distance, entries: streetEntries }]) =>
+          streetSuggestion(street, streetEntries, formatDistance(distance))
+        ),
+      ...nearby
+        .filter(({ entry }) => entry.postalCode !== place.postalCode)
+        .map(({ entry, distance }) => blockSuggestion(entry, formatDistance(distance))),
+    ];
+  }
+
+  function suggest(query) {
+    const text = query.trim().toLowerCase();
+    if (!text) return [];
+
+    if (isPostalCode(text)) {
+      const place = resolve(text);
+      if (!place) return [];
+      const own = {
+        id: `postal:${text}`,
+        label: place.address,
+        secondary: 'Postal code',
+        place,
+      };
+      return [own, ...suggestNearby(place)].slice(0, MAX_SUGGESTIONS);
+    }
+
+    if (isPostalCodeQuery(text)) {
+      return entries
+        .filter(entry => entry.postalCode.startsWith(text))
+        .slice(0, MAX_SUGGESTIONS)
+        .map(entry => blockSuggestion(entry));
+    }
+
+    const streets = new Map();
+    entries.forEach(entry => {
+      if (entry.street && entry.street.toLowerCase().includes(text)) {
+        streets.set(entry.street, [...(streets.get(entry.street) || []), entry]);
+      }
+    });
+    const blocks = entries.filter(entry =>
+      [formatStreet(entry), entry.building].some(value => value && value.toLowerCase().includes(text))
+    );
+
+    return [
+      ...[...streets].map(([street, streetEntries]) => streetSuggestion(street, streetEntries)),
+      ...blocks.map(entry => blockSuggestion(entry)),
+    ].slice(0, MAX_SUGGESTIONS);
+  }
+
+  return { resolve, suggest };
+}
+
+let lookupPromise = null;
+
+/**
+ * The lookup over the bundled table, loaded once
+ */
+export function loadPostalLookup() {
+  if (!lookupPromise) {
+    lookupPromise = loadPostalCodes()
+      .then(createPostalLookup)
+      .catch(err => {
+        // Let the next call try again
+        lookupPromise = null;
+        throw err;
+      });
+  }
+  return lookupPromise;
+}
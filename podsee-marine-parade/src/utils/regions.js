@@ -0,0 +1,91 @@
+/**
+ * Region registry
+ * Each region (estate) has its own centres workbook in data/ and its own
+ * dataset, routes (/marine-parade, /marine-parade/results) and copy.
+ * Used by the data scripts, dataLoader and the pages.
+ *
+ * To add a region: put its workbook (same `centres` / `offerings` sheets) in
+ * data/, add an entry here and run `npm run build:data`. Centre ids must be
+ * unique across regions; give chain branches an explicit `centre_id`.
+ * `postalSectors` (first two digits of the estate's postal codes) are walked
+ * by `npm run geocode:data -- --homes` for the home postal code table.
+ */
+
+export const REGIONS = [
+  {
+    id: 'marine-parade',
+    name: 'Marine Parade',
+    workbook: 'database_ready_final (Marine Parade).xlsx',
+    center: { lat: 1.3030, lng: 103.9066 },
+    // District 15: Katong, Joo Chiat, Marine Parade, Amber Road
+    postalSectors: ['42', '43', '44', '45'],
+  },
+];
+
+export const DEFAULT_REGION_ID = 'marine-parade';
+
+// Pseudo-region for searches across every region (/all, /all/results)
+export const ALL_REGIONS_ID = 'all';
+
+export const REGION_IDS = REGIONS.map(region => region.id);
+
+const ALL_REGIONS = {
+  id: ALL_REGIONS_ID,
+  name: 'All areas',
+  workbook: null,
+  center: null,
+  postalSectors: [],
+};
+
+/**
+ * Region by id (including the "all" pseudo-region), or null if unknown
+ */
+export function getRegion(regionId) {
+  if (regionId === ALL_REGIONS_ID) return ALL_REGIONS;
+  return REGIONS.find(region => region.id === regionId) || null;
+}
+
+export function isKnownRegion(regionId) {
+  return getRegion(regionId) !== null;
+}
+
+/**
+ * Real region ids a region id covers ("all" → every region)
+ */
+export function expandRegion(regionId) {
+  return regionId === ALL_REGIONS_ID ? REGION_IDS : [regionId];
+}
+
+export function getRegionName(regionId) {
+  const region = getRegion(regionId);
+  return region ? region.name : regionId;
+}
+
+/**
+ * Path within a region, e.g. regionPath('marine-parade', '/results') → '/marine-parade/results'
+ */
+export function regionPath(regionId, path = '') {
+  return `/${regionId}${path}`;
+}
+
+const LAST_REGION_KEY = 'podsee_region';
+
+/**
+ * Region the visitor last browsed, for the `/` redirect
+ */
+export function getLastRegion() {
+  try {
+    const regionId = localStorage.getItem(LAST_REGION_KEY);
+    return isKnownRegion(regionId) ? regionId : DEFAULT_REGION_ID;
+  } catch {
+    return DEFAULT_REGION_ID;
+  }
+}
+
+export function rememberRegion(regionId) {
+  try {
+    localStorage.setItem(LAST_REGION_KEY, regionId);
+  } catch {
+    // Private browsing etc.: the default region is used next time
+  }
+}
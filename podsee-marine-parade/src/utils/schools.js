@@ -0,0 +1,48 @@
+/**
+ * Schools around the covered regions, for measuring distances from school
+ * (see distanceAnchors.js). Coordinates are approximate school gates; ids are
+ * used in the `school` URL parameter, so don't change them once shipped.
+ * Add schools here when a region further away is added.
+ */
+
+// School level → heading in the school picker
+export const SCHOOL_LEVELS = {
+  primary: 'Primary',
+  secondary: 'Secondary',
+  jc: 'Junior college',
+};
+
+export const SCHOOLS = [
+  // Primary
+  { id: 'canossa-catholic-primary', name: 'Canossa Catholic Primary School', level: 'primary', lat: 1.32900, lng: 103.88700 },
+  { id: 'chij-katong-primary', name: 'CHIJ (Katong) Primary', level: 'primary', lat: 1.31120, lng: 103.90420 },
+  { id: 'geylang-methodist-primary', name: 'Geylang Methodist School (Primary)', level: 'primary', lat: 1.31950, lng: 103.88700 },
+  { id: 'haig-girls', name: "Haig Girls' School", level: 'primary', lat: 1.31200, lng: 103.90100 },
+  { id: 'kong-hwa', name: 'Kong Hwa School', level: 'primary', lat: 1.31150, lng: 103.88400 },
+  { id: 'maha-bodhi', name: 'Maha Bodhi School', level: 'primary', lat: 1.32700, lng: 103.89700 },
+  { id: 'ngee-ann-primary', name: 'Ngee Ann Primary School', level: 'primary', lat: 1.30500, lng: 103.91800 },
+  { id: 'opera-estate-primary', name: 'Opera Estate Primary School', level: 'primary', lat: 1.31800, lng: 103.92700 },
+  { id: 'st-stephens', name: "St. Stephen's School", level: 'primary', lat: 1.31400, lng: 103.93000 },
+  { id: 'tanjong-katong-primary', name: 'Tanjong Katong Primary School', level: 'primary', lat: 1.30800, lng: 103.88800 },
+  { id: 'tao-nan', name: 'Tao Nan School', level: 'primary', lat: 1.30530, lng: 103.91150 },
+  // Secondary
+  { id: 'broadrick-secondary', name: 'Broadrick Secondary School', level: 'secondary', lat: 1.30700, lng: 103.88600 },
+  { id: 'chij-katong-convent', name: 'CHIJ Katong Convent', level: 'secondary', lat: 1.30550, lng: 103.91900 },
+  { id: 'chung-cheng-high-main', name: 'Chung Cheng High School (Main)', level: 'secondary', lat: 1.30400, lng: 103.89200 },
+  { id: 'dunman-high', name: 'Dunman High School', level: 'secondary', lat: 1.29900, lng: 103.87900 },
+  { id: 'geylang-methodist-secondary', name: 'Geylang Methodist School (Secondary)', level: 'secondary', lat: 1.31980, lng: 103.88780 },
+  { id: 'manjusri-secondary', name: 'Manjusri Secondary School', level: 'secondary', lat: 1.32750, lng: 103.89850 },
+  { id: 'st-patricks', name: "St. Patrick's School", level: 'secondary', lat: 1.30300, lng: 103.91800 },
+  { id: 'tanjong-katong-girls', name: "Tanjong Katong Girls' School", level: 'secondary', lat: 1.30350, lng: 103.91300 },
+  { id: 'tanjong-katong-secondary', name: 'Tanjong Katong Secondary School', level: 'secondary', lat: 1.30600, lng: 103.89900 },
+  { id: 'victoria-school', name: 'Victoria School', level: 'secondary', lat: 1.30400, lng: 103.93000 },
+  // Junior colleges
+  { id: 'victoria-jc', name: 'Victoria Junior College', level: 'jc', lat: 1.30900, lng: 103.93700 },
+];
+
+/**
+ * School by id, or null if unknown
+ */
+export function getSchool(schoolId) {
+  return SCHOOLS.find(school => school.id === schoolId) || null;
+}
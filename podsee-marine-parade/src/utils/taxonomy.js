@@ -0,0 +1,276 @@
+/**
+ * Level/subject taxonomy
+ * Single source of truth for canonical levels, subjects and streams, their
+ * aliases, subject groups (umbrellas) and per-level visibility rules.
+ * Used by dataLoader, the comment class picker and the workbook validator.
+ */
+
+export const TAXONOMY = {
+  // Canonical levels in display order
+  levels: [
+    'P1', 'P2', 'P3', 'P4', 'P5', 'P6',
+    'S1', 'S2', 'S3', 'S4', 'S5',
+    'JC1', 'JC2',
+    'IB', 'Y5 (IB)', 'Y6 (IB)',
+  ],
+
+  // Workbook spellings → canonical level (null = ignore the offering)
+  levelAliases: {
+    'J1': null,
+    'J2': null,
+  },
+
+  // Human-readable level names
+  levelLabels: {
+    P1: 'Primary 1', P2: 'Primary 2', P3: 'Primary 3', P4: 'Primary 4', P5: 'Primary 5', P6: 'Primary 6',
+    S1: 'Secondary 1', S2: 'Secondary 2', S3: 'Secondary 3', S4: 'Secondary 4', S5: 'Secondary 5',
+    JC1: 'JC 1', JC2: 'JC 2',
+    IB: 'IB', 'Y5 (IB)': 'Year 5 (IB)', 'Y6 (IB)': 'Year 6 (IB)',
+  },
+
+  // Canonical subjects in curated display order
+  subjects: [
+    'Biology',
+    'Chemistry',
+    'Physics',
+    'Science',
+    'Mathematics',
+    'Additional Mathematics',
+    'Higher Chinese',
+    'Chinese',
+    'English',
+    'Economics',
+    'Humanities',
+    'History',
+    'Social Studies',
+    'Literature',
+    'Geography',
+    'General Paper',
+    'POA',
+    'Malay',
+    'English Language & Linguistics',
+    'English Language & Literature',
+    'China Studies in English',
+  ],
+
+  // Workbook spellings → canonical subject
+  subjectAliases: {
+    'Math': 'Mathematics',
+    'E Math': 'Mathematics',
+    'E-Math': 'Mathematics',
+    'Elementary Mathematics': 'Mathematics',
+    'A Math': 'Additional Mathematics',
+    'A-Math': 'Additional Mathematics',
+    'Add Math': 'Additional Mathematics',
+    'Principle of Accounts (POA)': 'POA',
+  },
+
+  // Umbrella subjects: searching the parent also matches its children.
+  // offerParent: list the parent as a choice whenever a child is offered
+  // (for umbrellas that centres don't list as a subject of their own).
+  subjectGroups: [
+    { parent: 'Science', children: ['Biology', 'Chemistry', 'Physics'], offerParent: false },
+    { parent: 'Humanities', children: ['History', 'Geography', 'Social Studies'], offerParent: true },
+  ],
+
+  // Per-level visibility rules for the subject picker
+  levelRules: [
+    // Lower secondary takes combined Science, not the pure sciences
+    { levels: ['S1', 'S2'], hideSubjects: ['Biology', 'Chemistry', 'Physics'] },
+  ],
+
+  // Streams / subject levels, and the levels each set applies to.
+  // Full Subject-Based Banding (G1-G3) and the older Express/NA/NT streams at
+  // secondary; H1-H3 subject levels at JC.
+  streamSets: [
+    { levels: ['S1', 'S2', 'S3', 'S4', 'S5'], streams: ['G1', 'G2', 'G3', 'Express', 'NA', 'NT'] },
+    { levels: ['JC1', 'JC2'], streams: ['H1', 'H2', 'H3'] },
+  ],
+
+  // Workbook spellings → canonical stream
+  streamAliases: {
+    'Exp': 'Express',
+    'N(A)': 'NA',
+    'N(T)': 'NT',
+    'Normal Academic': 'NA',
+    'Normal Technical': 'NT',
+  },
+
+  streamLabels: {
+    NA: 'N(A)',
+    NT: 'N(T)',
+  },
+
+  // Streams taught to the same syllabus; searching one also matches the other
+  streamEquivalents: [
+    ['G3', 'Express'],
+    ['G2', 'NA'],
+    ['G1', 'NT'],
+  ],
+};
+
+export const LEVEL_ORDER = TAXONOMY.levels;
+export const SUBJECT_ORDER = TAXONOMY.subjects;
+export const STREAM_ORDER = TAXONOMY.streamSets.flatMap(set => set.streams);
+
+export function normalizeSubject(subject) {
+  return TAXONOMY.subjectAliases[subject] || subject;
+}
+
+export function normalizeLevel(level) {
+  if (TAXONOMY.levelAliases[level] === null) return null;
+  return TAXONOMY.levelAliases[level] || level;
+}
+
+export function isKnownLevel(level) {
+  return LEVEL_ORDER.includes(level);
+}
+
+export function isKnownSubject(subject) {
+  return SUBJECT_ORDER.includes(subject);
+}
+
+export function getLevelLabel(level) {
+  return TAXONOMY.levelLabels[level] || level;
+}
+
+export function getStreamLabel(stream) {
+  return TAXONOMY.streamLabels[stream] || stream;
+}
+
+export function isKnownStream(stream) {
+  return STREAM_ORDER.includes(stream);
+}
+
+/**
+ * Parse a workbook `stream` cell ("G2/G3", "Express, NA", "H2") into canonical
+ * streams. Unknown values are kept so the validator can report them.
+ */
+export function normalizeStreams(value) {
+  if (value === undefined || value === null) return [];
+
+  const streams = String(value)
+    .split(/[,/&]/)
+    .map(stream => stream.trim())
+    .filter(Boolean)
+    .map(stream => TAXONOMY.streamAliases[stream] || stream);
+
+  return sortStreams(new Set(streams));
+}
+
+/**
+ * Streams that apply to a level (empty if the level has no streams)
+ */
+export function getStreamsForLevel(level) {
+  const set = TAXONOMY.streamSets.find(streamSet => streamSet.levels.includes(level));
+  return set ? set.streams : [];
+}
+
+/**
+ * A stream with the streams search treats as the same class (streamEquivalents)
+ */
+export function expandStream(stream) {
+  const equivalents = TAXONOMY.streamEquivalents.find(pair => pair.includes(stream));
+  return equivalents || [stream];
+}
+
+/**
+ * Whether an offering's streams satisfy a selected stream.
+ * No selection matches everything; an offering without streams is taught to all.
+ */
+export function streamMatches(selectedStream, offeringStreams) {
+  if (!selectedStream || !offeringStreams || offeringStreams.length === 0) return true;
+  const accepted = expandStream(selectedStream);
+  return offeringStreams.some(stream => accepted.includes(stream));
+}
+
+function getSubjectGroup(subject) {
+  return TAXONOMY.subjectGroups.find(group => group.parent === subject) || null;
+}
+
+/**
+ * Subjects an offering may have to match a search for `subject`
+ * (the subject itself plus any children if it is an umbrella)
+ */
+export function expandSubject(subject) {
+  const group = getSubjectGroup(subject);
+  return group ? [subject, ...group.children] : [subject];
+}
+
+/**
+ * Whether an offering's subject satisfies a selected subject
+ */
+export function subjectMatches(selectedSubject, offeringSubject) {
+  return expandSubject(selectedSubject).includes(offeringSubject);
+}
+
+/**
+ * Whether a subject should be offered in the picker for a level
+ */
+export function isSubjectVisibleAtLevel(level, subject) {
+  return !TAXONOMY.levelRules.some(rule =>
+    rule.levels.includes(level) && rule.hideSubjects.includes(subject)
+  );
+}
+
+/**
+ * Apply the level visibility rules and umbrella parents to a set of offered
+ * subjects, returning them in display order.
+ */
+export function getVisibleSubjects(level, offeredSubjects) {
+  const visible = new Set(
+    Array.from(offeredSubjects).filter(subject => isSubjectVisibleAtLevel(level, subject))
+  );
+
+  TAXONOMY.subjectGroups.forEach(group => {
+    if (group.offerParent && group.children.some(child => visible.has(child))) {
+      visible.add(group.parent);
+    }
+  });
+
+  return sortSubjects(visible);
+}
+
+function orderIndex(order, value) {
+  const index = order.indexOf(value);
+  return index === -1 ? Infinity : index;
+}
+
+export function compareLevels(a, b) {
+  const diff = orderIndex(LEVEL_ORDER, a) - orderIndex(LEVEL_ORDER, b);
+  if (diff !== 0 && !Number.isNaN(diff)) return diff;
+  return String(a).localeCompare(String(b));
+}
+
+export function compareSubjects(a, b) {
+  const diff = orderIndex(SUBJECT_ORDER, a) - orderIndex(SUBJECT_ORDER, b);
+  if (diff !== 0 && !Number.isNaN(diff)) return diff;
+  return String(a).localeCompare(String(b));
+}
+
+export function compareStreams(a, b) {
+  const diff = orderIndex(STREAM_ORDER, a) - orderIndex(STREAM_ORDER, b);
+  if (diff !== 0 && !Number.isNaN(diff)) return diff;
+  return String(a ?? '').localeCompare(String(b ?? ''));
+}
+
+/**
+ * Sort levels by LEVEL_ORDER, unknown levels last (alphabetically)
+ */
+export function sortLevels(levels) {
+  return Array.from(levels).sort(compareLevels);
+}
+
+/**
+ * Sort subjects by SUBJECT_ORDER, unknown subjects last (alphabetically)
+ */
+export function sortSubjects(subjects) {
+  return Array.from(subjects).sort(compareSubjects);
+}
+
+/**
+ * Sort streams by STREAM_ORDER, unknown streams last (alphabetically)
+ */
+export function sortStreams(streams) {
+  return Array.from(streams).sort(compareStreams);
+}
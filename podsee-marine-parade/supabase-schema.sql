@@ -162,6 +162,281 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- ============================================
+-- REVIEW CONTEXT: Level, Subject and Stream
+-- ============================================
+-- Top-level reviews are tagged with the class they are about. Replies inherit
+-- their parent's context. stream is the optional stream / subject level
+-- (G1-G3, Express/NA/NT, H1-H3) and is NULL when the class has none.
+
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS level TEXT DEFAULT NULL;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS subject TEXT DEFAULT NULL;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS stream TEXT DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_comments_centre_context
+  ON comments(centre_id, level, subject, stream)
+  WHERE parent_comment_id IS NULL AND hidden = FALSE;
+
+-- Replace the earlier versions (without streams, and with a single p_stream)
+-- so PostgREST doesn't see two candidates
+DROP FUNCTION IF EXISTS get_comments_with_reply_count_by_context(TEXT, TEXT, TEXT, INT, INT);
+DROP FUNCTION IF EXISTS get_comments_with_reply_count_by_context(TEXT, TEXT, TEXT, INT, INT, TEXT);
+
+-- NULL level and subject = all reviews. p_streams is the selected stream with
+-- its equivalents (taxonomy streamEquivalents, e.g. G3 and Express); NULL =
+-- every stream. Reviews without a stream (older ones, or classes without
+-- streams) always match.
+CREATE OR REPLACE FUNCTION get_comments_with_reply_count_by_context(
+  p_centre_id TEXT,
+  p_level TEXT DEFAULT NULL,
+  p_subject TEXT DEFAULT NULL,
+  p_limit INT DEFAULT 20,
+  p_offset INT DEFAULT 0,
+  p_streams TEXT[] DEFAULT NULL
+)
+RETURNS TABLE (
+  comment_id UUID,
+  centre_id TEXT,
+  username TEXT,
+  text TEXT,
+  level TEXT,
+  subject TEXT,
+  stream TEXT,
+  created_at TIMESTAMPTZ,
+  reply_count BIGINT
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT 
+    c.comment_id,
+    c.centre_id,
+    c.username,
+    c.text,
+    c.level,
+    c.subject,
+    c.stream,
+    c.created_at,
+    COUNT(r.comment_id) AS reply_count
+  FROM comments c
+  LEFT JOIN comments r ON r.parent_comment_id = c.comment_id AND r.hidden = FALSE
+  WHERE c.centre_id = p_centre_id
+    AND c.parent_comment_id IS NULL
+    AND c.hidden = FALSE
+    AND (
+      (p_level IS NULL AND p_subject IS NULL) OR
+      (c.level = p_level AND c.subject = p_subject)
+    )
+    AND (p_streams IS NULL OR c.stream IS NULL OR c.stream = ANY(p_streams))
+  GROUP BY c.comment_id, c.centre_id, c.username, c.text, c.level, c.subject, c.stream, c.created_at
+  ORDER BY c.created_at ASC
+  LIMIT p_limit
+  OFFSET p_offset;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- CENTRE DATA: Centres and Offerings
+-- ============================================
+-- Loaded by scripts/import-centres.js from the centres workbook (or CSVs).
+-- centre_id is the stable id comments are stored against (see
+-- src/utils/centreIdGenerator.js). position keeps the workbook row order.
+-- Anyone can read; only the service role (the importer) can write.
+
+CREATE TABLE IF NOT EXISTS centres (
+  centre_id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  address TEXT,
+  postal_code TEXT,
+  website_url TEXT,
+  whatsapp_number TEXT,
+  contact_type TEXT,
+  position INT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT check_centre_id_format CHECK (centre_id ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+  CONSTRAINT check_centre_name_not_empty CHECK (LENGTH(TRIM(name)) > 0)
+);
+
+-- streams is empty when a class is taught to every stream
+CREATE TABLE IF NOT EXISTS offerings (
+  centre_id TEXT NOT NULL REFERENCES centres(centre_id) ON DELETE CASCADE ON UPDATE CASCADE,
+  level TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  streams TEXT[] NOT NULL DEFAULT '{}',
+  notes TEXT,
+  position INT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  PRIMARY KEY (centre_id, level, subject, streams)
+);
+
+CREATE INDEX IF NOT EXISTS idx_offerings_level_subject ON offerings(level, subject);
+
+ALTER TABLE centres ENABLE ROW LEVEL SECURITY;
+ALTER TABLE offerings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Public users can read centres" ON centres;
+CREATE POLICY "Public users can read centres"
+  ON centres
+  FOR SELECT
+  USING (TRUE);
+
+DROP POLICY IF EXISTS "Service role can write centres" ON centres;
+CREATE POLICY "Service role can write centres"
+  ON centres
+  FOR ALL
+  USING (auth.role() = 'service_role')
+  WITH CHECK (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Public users can read offerings" ON offerings;
+CREATE POLICY "Public users can read offerings"
+  ON offerings
+  FOR SELECT
+  USING (TRUE);
+
+DROP POLICY IF EXISTS "Service role can write offerings" ON offerings;
+CREATE POLICY "Service role can write offerings"
+  ON offerings
+  FOR ALL
+  USING (auth.role() = 'service_role')
+  WITH CHECK (auth.role() = 'service_role');
+
+-- ============================================
+-- REGIONS
+-- ============================================
+-- Each centre belongs to a region from src/utils/regions.js. The importer
+-- only compares and prunes rows of the region it imports.
+-- Names are unique within a region; centre_id stays unique across regions
+-- (comments and URLs use it without a region), so an import may not take over
+-- an id another region owns. To move a centre, delete it from its old region
+-- first.
+
+ALTER TABLE centres ADD COLUMN IF NOT EXISTS region TEXT NOT NULL DEFAULT 'marine-parade';
+
+CREATE INDEX IF NOT EXISTS idx_centres_region ON centres(region);
+
+ALTER TABLE centres DROP CONSTRAINT IF EXISTS centres_name_key;
+ALTER TABLE centres DROP CONSTRAINT IF EXISTS centres_region_name_key;
+ALTER TABLE centres ADD CONSTRAINT centres_region_name_key UNIQUE (region, name);
+
+CREATE OR REPLACE FUNCTION check_centre_region_unchanged()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.region IS DISTINCT FROM OLD.region THEN
+    RAISE EXCEPTION 'centre_id "%" belongs to region %, not %', OLD.centre_id, OLD.region, NEW.region;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_check_centre_region_unchanged ON centres;
+CREATE TRIGGER trigger_check_centre_region_unchanged
+  BEFORE UPDATE OF region ON centres
+  FOR EACH ROW
+  EXECUTE FUNCTION check_centre_region_unchanged();
+
+-- ============================================
+-- OFFERING DETAILS
+-- ============================================
+-- Optional fee, lesson slots and class size per offering (src/utils/offeringDetails.js).
+-- Slots are text ("mon 16:00-17:30", or "sat" without a time) so they compare
+-- equal to the workbook values.
+
+ALTER TABLE offerings ADD COLUMN IF NOT EXISTS fee_monthly NUMERIC(8, 2) CHECK (fee_monthly > 0);
+ALTER TABLE offerings ADD COLUMN IF NOT EXISTS lesson_slots TEXT[];
+ALTER TABLE offerings ADD COLUMN IF NOT EXISTS class_size INTEGER CHECK (class_size > 0);
+
+-- Single-schedule columns replaced by lesson_slots (re-run import:data to refill)
+ALTER TABLE offerings DROP COLUMN IF EXISTS lesson_days;
+ALTER TABLE offerings DROP COLUMN IF EXISTS lesson_start;
+ALTER TABLE offerings DROP COLUMN IF EXISTS lesson_end;
+
+-- ============================================
+-- OFFERING FEES
+-- ============================================
+-- Fees as quoted (per month, term or lesson); fee_monthly holds the fee
+-- normalised to a month by the importer.
+
+ALTER TABLE offerings ADD COLUMN IF NOT EXISTS fee_amount NUMERIC(8, 2) CHECK (fee_amount > 0);
+ALTER TABLE offerings ADD COLUMN IF NOT EXISTS fee_unit TEXT CHECK (fee_unit IN ('month', 'term', 'lesson'));
+ALTER TABLE offerings ADD COLUMN IF NOT EXISTS lessons_per_month INTEGER CHECK (lessons_per_month > 0);
+
+CREATE INDEX IF NOT EXISTS idx_offerings_fee_monthly ON offerings(fee_monthly);
+
+-- ============================================
+-- BRANDS AND BRANCHES
+-- ============================================
+-- Chain centres name their brand and branch (src/utils/brands.js). Each
+-- branch keeps its own centre_id and reviews; brand-wide reviews are read
+-- across the ids of every branch.
+
+ALTER TABLE centres ADD COLUMN IF NOT EXISTS brand TEXT;
+ALTER TABLE centres ADD COLUMN IF NOT EXISTS branch TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_centres_brand ON centres(brand) WHERE brand IS NOT NULL;
+
+DROP FUNCTION IF EXISTS get_comments_with_reply_count_for_centres(TEXT[], TEXT, TEXT, INT, INT, TEXT);
+
+-- Same filters as get_comments_with_reply_count_by_context, over several centres
+CREATE OR REPLACE FUNCTION get_comments_with_reply_count_for_centres(
+  p_centre_ids TEXT[],
+  p_level TEXT DEFAULT NULL,
+  p_subject TEXT DEFAULT NULL,
+  p_limit INT DEFAULT 20,
+  p_offset INT DEFAULT 0,
+  p_streams TEXT[] DEFAULT NULL
+)
+RETURNS TABLE (
+  comment_id UUID,
+  centre_id TEXT,
+  username TEXT,
+  text TEXT,
+  level TEXT,
+  subject TEXT,
+  stream TEXT,
+  created_at TIMESTAMPTZ,
+  reply_count BIGINT
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT 
+    c.comment_id,
+    c.centre_id,
+    c.username,
+    c.text,
+    c.level,
+    c.subject,
+    c.stream,
+    c.created_at,
+    COUNT(r.comment_id) AS reply_count
+  FROM comments c
+  LEFT JOIN comments r ON r.parent_comment_id = c.comment_id AND r.hidden = FALSE
+  WHERE c.centre_id = ANY(p_centre_ids)
+    AND c.parent_comment_id IS NULL
+    AND c.hidden = FALSE
+    AND (
+      (p_level IS NULL AND p_subject IS NULL) OR
+      (c.level = p_level AND c.subject = p_subject)
+    )
+    AND (p_streams IS NULL OR c.stream IS NULL OR c.stream = ANY(p_streams))
+  GROUP BY c.comment_id, c.centre_id, c.username, c.text, c.level, c.subject, c.stream, c.created_at
+  ORDER BY c.created_at ASC
+  LIMIT p_limit
+  OFFSET p_offset;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- CENTRE COORDINATES
+-- ============================================
+-- Location of the centre's postal code (data/postal-codes.csv), written by
+-- import:data. NULL when the postal code isn't in the table; the app then
+-- geocodes the address at runtime.
+
+ALTER TABLE centres ADD COLUMN IF NOT EXISTS lat DOUBLE PRECISION;
+ALTER TABLE centres ADD COLUMN IF NOT EXISTS lng DOUBLE PRECISION;
+
 -- ============================================
 -- VERIFICATION QUERIES (Optional - for testing)
 -- ============================================
@@ -1,11 +1,34 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    host: true, // Enable network access
-    port: 5173,
-  },
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, '.', '')
+
+  return {
+    plugins: [react()],
+    // The centres worker (src/utils/centresWorker.js) lazy-loads the database
+    // client, which needs a code-splitting (module) worker build
+    worker: {
+      format: 'es',
+    },
+    server: {
+      host: true, // Enable network access
+      port: 5173,
+      // Local Postgres + PostgREST standing in for Supabase: serve it where
+      // supabase-js expects the REST API (set VITE_SUPABASE_URL to this dev server)
+      proxy: env.LOCAL_POSTGREST_URL
+        ? {
+            '/rest/v1': {
+              target: env.LOCAL_POSTGREST_URL,
+              rewrite: (path) => path.replace(/^\/rest\/v1/, ''),
+              // PostgREST treats requests without a JWT as its anonymous role
+              configure: (proxy) => {
+                proxy.on('proxyReq', (proxyReq) => proxyReq.removeHeader('authorization'))
+              },
+            },
+          }
+        : undefined,
+    },
+  }
 })